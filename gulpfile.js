@@ -35,16 +35,40 @@ const sourceFiles = [
 
   // Core services and providers
   'src/core/performance.service.js',
+  'src/core/series-diff.service.js',
   'src/core/module-loader.provider.js',
   'src/core/config.provider.js',
+  'src/core/error.service.js',
+  'src/core/worker.service.js',
   'src/core/chart-factory.provider.js',
+  'src/core/csv-parser.service.js',
+  'src/core/data-pipeline.service.js',
+  'src/core/time-series.service.js',
+  'src/core/statistics.service.js',
+  'src/core/data-cache.service.js',
   'src/core/data.service.js',
   'src/core/config-builder.service.js',
   'src/core/event.service.js',
+  'src/core/responsive.service.js',
+  'src/core/viewport.service.js',
+  'src/core/state-overlay.service.js',
+  'src/core/tooltip.service.js',
+  'src/core/chart.controller.js',
+  'src/core/chart-items.service.js',
+  'src/core/chart-data.service.js',
+  'src/core/chart-sync.service.js',
+  'src/core/chart-lifecycle.service.js',
 
   // Core directive
   'src/core/chart.directive.js',
 
+  // Declarative child directives
+  'src/core/series.directive.js',
+  'src/core/point.directive.js',
+  'src/core/axis.directive.js',
+  'src/core/axis-marker.directive.js',
+  'src/core/annotation.directive.js',
+
   // Widgets module
   'src/widgets/module.js',
   'src/widgets/linear.directive.js',
@@ -0,0 +1,34 @@
+/**
+ * JSCharting AngularJS Wrapper - Test Configuration
+ *
+ * Runs the Jasmine specs in test/ against the sources with angular-mocks:
+ *   npm test           - Run the specs once in headless Chrome
+ *   npm run test:watch - Run the specs again when a file changes
+ *
+ * Specs do not need the JSCharting library; specs of the chart directives
+ * install a fake JSC global.
+ */
+
+module.exports = function(config) {
+  config.set({
+    frameworks: ['jasmine'],
+
+    files: [
+      'node_modules/angular/angular.js',
+      'node_modules/angular-mocks/angular-mocks.js',
+
+      // Modules must be registered before the files that add to them
+      'src/core/module.js',
+      'src/*/module.js',
+      'src/**/*.js',
+
+      'test/**/*.spec.js'
+    ],
+
+    reporters: ['spec'],
+
+    browsers: ['ChromeHeadless'],
+
+    singleRun: true
+  });
+};
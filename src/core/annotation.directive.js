@@ -0,0 +1,85 @@
+/**
+ * JSCharting AngularJS Annotation Directive
+ *
+ * Declares a chart annotation as a child element of jsc-chart.
+ * Annotations are appended to any annotations defined in jsc-options.
+ *
+ * Usage:
+ *   <jsc-chart jsc-options="vm.chartOptions">
+ *     <jsc-annotation
+ *       ng-if="vm.showNote"
+ *       jsc-label="Data source: NOAA"
+ *       jsc-position="bottom left">
+ *     </jsc-annotation>
+ *   </jsc-chart>
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .directive('jscAnnotation', [function() {
+
+      // Counter for generated annotation ids
+      var annotationCounter = 0;
+
+      return {
+        restrict: 'E',
+        require: '^^jscChart',
+        scope: {
+          annotationId: '@?jscId',
+          label: '@?jscLabel',
+          position: '@?jscPosition',
+          options: '<?jscOptions'
+        },
+
+        link: function(scope, element, attrs, chartCtrl) {
+          var id = scope.annotationId || 'jscAnnotation' + (++annotationCounter);
+
+          /**
+           * Build annotation configuration from scope bindings
+           */
+          function buildConfig() {
+            var config = angular.copy(scope.options) || {};
+
+            config.id = id;
+
+            if (scope.label) {
+              config.label = config.label || {};
+              config.label.text = scope.label;
+            }
+            if (scope.position) {
+              config.position = scope.position;
+            }
+
+            return config;
+          }
+
+          var entry = {
+            id: id,
+            getConfig: buildConfig
+          };
+
+          chartCtrl.registerItem('annotations', entry);
+
+          // Watch for attribute changes
+          scope.$watchGroup(['label', 'position'], function(newVals, oldVals) {
+            if (newVals !== oldVals) {
+              chartCtrl.itemChanged('annotations');
+            }
+          });
+
+          scope.$watch('options', function(newVal, oldVal) {
+            if (newVal !== oldVal) {
+              chartCtrl.itemChanged('annotations');
+            }
+          }, true);
+
+          // Cleanup
+          scope.$on('$destroy', function() {
+            chartCtrl.unregisterItem('annotations', entry);
+          });
+        }
+      };
+    }]);
+
+})(angular);
@@ -0,0 +1,100 @@
+/**
+ * JSCharting AngularJS Axis Marker Directive
+ *
+ * Declares a value or range marker inside jsc-x-axis or jsc-y-axis.
+ * Markers are added to and removed from the chart at runtime when the
+ * element is added or removed (e.g. by ng-if or ng-repeat).
+ *
+ * Usage:
+ *   <jsc-y-axis jsc-id="sales">
+ *     <jsc-axis-marker jsc-value="100" jsc-label="Target" jsc-color="#E53935"></jsc-axis-marker>
+ *     <jsc-axis-marker ng-if="vm.showRange" jsc-value="[80, 120]" jsc-label="Normal range"></jsc-axis-marker>
+ *   </jsc-y-axis>
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .directive('jscAxisMarker', [function() {
+
+      // Counter for generated marker ids
+      var markerCounter = 0;
+
+      return {
+        restrict: 'E',
+        require: ['?^^jscXAxis', '?^^jscYAxis'],
+        scope: {
+          markerId: '@?jscId',
+          value: '<?jscValue',
+          label: '@?jscLabel',
+          color: '@?jscColor',
+          options: '<?jscOptions'
+        },
+
+        link: function(scope, element, attrs, ctrls) {
+          var axisCtrl = ctrls[0] || ctrls[1];
+
+          if (!axisCtrl) {
+            console.error('jsc-axis-marker must be placed inside jsc-x-axis or jsc-y-axis.');
+            return;
+          }
+
+          var id = scope.markerId || 'jscAxisMarker' + (++markerCounter);
+
+          /**
+           * Build marker configuration from scope bindings
+           */
+          function buildConfig() {
+            var config = angular.copy(scope.options) || {};
+
+            config.id = id;
+
+            if (scope.value !== undefined) {
+              config.value = scope.value;
+            }
+            if (scope.label) {
+              config.label = config.label || {};
+              config.label.text = scope.label;
+            }
+            if (scope.color) {
+              config.color = scope.color;
+            }
+
+            return config;
+          }
+
+          var entry = {
+            id: id,
+            getConfig: buildConfig
+          };
+
+          axisCtrl.registerMarker(entry);
+
+          // Watch for attribute changes
+          scope.$watchGroup(['label', 'color'], function(newVals, oldVals) {
+            if (newVals !== oldVals) {
+              axisCtrl.markerChanged();
+            }
+          });
+
+          scope.$watch('value', function(newVal, oldVal) {
+            if (newVal !== oldVal) {
+              axisCtrl.markerChanged();
+            }
+          }, true);
+
+          scope.$watch('options', function(newVal, oldVal) {
+            if (newVal !== oldVal) {
+              axisCtrl.markerChanged();
+            }
+          }, true);
+
+          // Cleanup
+          scope.$on('$destroy', function() {
+            axisCtrl.unregisterMarker(entry);
+          });
+        }
+      };
+    }]);
+
+})(angular);
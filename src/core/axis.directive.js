@@ -0,0 +1,186 @@
+/**
+ * JSCharting AngularJS Axis Directives
+ *
+ * Declares x and y axes as child elements of jsc-chart. Axes are appended
+ * to any axes defined in jsc-options. Series can be bound to an axis by id
+ * with the jsc-x-axis / jsc-y-axis attributes of jsc-series, and markers
+ * can be declared with jsc-axis-marker children.
+ *
+ * Usage:
+ *   <jsc-chart jsc-options="vm.chartOptions">
+ *     <jsc-y-axis jsc-id="temp" jsc-label="Temperature (°F)" jsc-format-string="n0"></jsc-y-axis>
+ *     <jsc-y-axis jsc-id="precip" jsc-label="Precipitation (in)" jsc-orientation="right">
+ *       <jsc-axis-marker ng-if="vm.showAverage" jsc-value="3.5" jsc-label="Average"></jsc-axis-marker>
+ *     </jsc-y-axis>
+ *     <jsc-series jsc-name="Precipitation" jsc-y-axis="precip" jsc-points="vm.precip"></jsc-series>
+ *   </jsc-chart>
+ */
+(function(angular) {
+  'use strict';
+
+  // Counter for generated axis ids
+  var axisCounter = 0;
+
+  /**
+   * Create an axis directive definition for the given config key
+   * @param {string} key - Chart config key ('xAxis' or 'yAxis')
+   * @param {string} directiveName - Directive name
+   * @returns {Array} Injectable directive factory
+   */
+  function createAxisDirective(key, directiveName) {
+    return [function() {
+      return {
+        restrict: 'E',
+        require: [directiveName, '^^jscChart'],
+        scope: {
+          axisId: '@?jscId',
+          label: '@?jscLabel',
+          orientation: '@?jscOrientation',
+          formatString: '@?jscFormatString',
+          scale: '<?jscScale',
+          visible: '<?jscVisible',
+          options: '<?jscOptions'
+        },
+
+        /**
+         * Controller used by jsc-axis-marker children
+         */
+        controller: [function() {
+          var markers = [];
+          var changeHandler = null;
+
+          /**
+           * Set the handler called when markers change
+           * @param {Function} handler
+           */
+          this.setChangeHandler = function(handler) {
+            changeHandler = handler;
+          };
+
+          /**
+           * Get configurations of all child markers
+           * @returns {Array} Marker configurations
+           */
+          this.getMarkerConfigs = function() {
+            return markers.map(function(entry) {
+              return entry.getConfig();
+            });
+          };
+
+          /**
+           * Register a child marker
+           * @param {Object} entry - Marker entry ({ id, getConfig() })
+           */
+          this.registerMarker = function(entry) {
+            markers.push(entry);
+            if (changeHandler) {
+              changeHandler();
+            }
+          };
+
+          /**
+           * Unregister a child marker
+           * @param {Object} entry - Marker entry
+           */
+          this.unregisterMarker = function(entry) {
+            var index = markers.indexOf(entry);
+            if (index !== -1) {
+              markers.splice(index, 1);
+              if (changeHandler) {
+                changeHandler();
+              }
+            }
+          };
+
+          /**
+           * Notify that a child marker changed
+           */
+          this.markerChanged = function() {
+            if (changeHandler) {
+              changeHandler();
+            }
+          };
+        }],
+
+        link: function(scope, element, attrs, ctrls) {
+          var axisCtrl = ctrls[0];
+          var chartCtrl = ctrls[1];
+
+          // Axis id is read once; series reference the axis by this id
+          var id = scope.axisId || 'jscAxis' + (++axisCounter);
+
+          /**
+           * Build axis configuration from scope bindings
+           */
+          function buildConfig() {
+            var config = angular.copy(scope.options) || {};
+
+            config.id = id;
+
+            if (scope.label) {
+              config.label = config.label || {};
+              config.label.text = scope.label;
+            }
+            if (scope.orientation) {
+              config.orientation = scope.orientation;
+            }
+            if (scope.formatString) {
+              config.formatString = scope.formatString;
+            }
+            if (scope.scale) {
+              config.scale = angular.extend({}, config.scale, scope.scale);
+            }
+            if (scope.visible !== undefined) {
+              config.visible = scope.visible;
+            }
+
+            // Always set so removing the last marker clears it on update
+            config.markers = (config.markers || []).concat(axisCtrl.getMarkerConfigs());
+
+            return config;
+          }
+
+          var entry = {
+            id: id,
+            getConfig: buildConfig
+          };
+
+          chartCtrl.registerItem(key, entry);
+          axisCtrl.setChangeHandler(function() {
+            chartCtrl.itemChanged(key);
+          });
+
+          // Watch for attribute changes
+          scope.$watchGroup(['label', 'orientation', 'formatString', 'visible'], function(newVals, oldVals) {
+            if (newVals !== oldVals) {
+              chartCtrl.itemChanged(key);
+            }
+          });
+
+          scope.$watch('scale', function(newVal, oldVal) {
+            if (newVal !== oldVal) {
+              chartCtrl.itemChanged(key);
+            }
+          }, true);
+
+          scope.$watch('options', function(newVal, oldVal) {
+            if (newVal !== oldVal) {
+              chartCtrl.itemChanged(key);
+            }
+          }, true);
+
+          // Cleanup
+          scope.$on('$destroy', function() {
+            axisCtrl.setChangeHandler(null);
+            chartCtrl.unregisterItem(key, entry);
+          });
+        }
+      };
+    }];
+  }
+
+  angular.module('jsc.angular.core')
+    .directive('jscXAxis', createAxisDirective('xAxis', 'jscXAxis'))
+    .directive('jscYAxis', createAxisDirective('yAxis', 'jscYAxis'));
+
+})(angular);
@@ -0,0 +1,342 @@
+/**
+ * JSCharting AngularJS Chart Data Service
+ *
+ * The bound series of the chart directives: jsc-series and the series
+ * loaded from jsc-data-url (grouped by jsc-data-mapping, polled with
+ * jsc-refresh-interval), validated with jsc-schema and downsampled
+ * with jsc-max-points.
+ *
+ * Usage (see jscChartLifecycle):
+ *   var data = jscChartData.attach(scope, attrs, {
+ *     getChart: function() { return chart; },
+ *     onChange: function() { updateSeries(data.getBoundSeries()); },
+ *     onError: function(error) { ... }
+ *   });
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .factory('jscChartData', [
+      '$timeout',
+      'jscChartFactory',
+      'jscDataService',
+      'jscPerformance',
+      'jscErrors',
+      'JscError',
+      function($timeout, jscChartFactory, jscDataService, jscPerformance, jscErrors, JscError) {
+
+        /**
+         * Attach the bound series to a chart directive
+         *
+         * @param {Object} scope - Directive scope (see jscChartLifecycle.bindings())
+         * @param {Object} attrs - Directive attributes
+         * @param {Object} handlers
+         * @param {Function} handlers.getChart - Returns the loaded chart, or null
+         * @param {Function} handlers.onChange - Called when the bound series changed
+         * @param {Function} handlers.onError - Called with a JscError
+         * @returns {Object} Data with getBoundSeries(), getDataSeries(), load(),
+         *   getEventHandler(name), resetValidation() and reset()
+         */
+        function attach(scope, attrs, handlers) {
+          var dataRows = null;
+          var dataSeries = null;
+          var dataRequestId = 0;
+          var refreshTimeout = null;
+          var downsampleRange = null;
+          var validationHashes = {};
+          var isDestroyed = false;
+
+          /**
+           * Get the series bound through jsc-series and jsc-data-url,
+           * downsampled with jsc-max-points
+           * @returns {Array} Copy of the series
+           */
+          function getBoundSeries() {
+            var series = scope.series || [];
+            if (scope.schema && !scope.dataUrl) {
+              series = validateSeries(series);
+            }
+            return series.concat(dataSeries || []).map(downsampleSeries);
+          }
+
+          /**
+           * Validate records with jsc-schema. New problems are reported
+           * through the error path; invalid values are set to null.
+           *
+           * @param {string} key - Source of the records ('data' or 'series')
+           * @param {Array} records - Records to validate
+           * @param {Function} [describe] - Returns the location of an error for messages
+           * @returns {Array} Validated records
+           */
+          function validateRecords(key, records, describe) {
+            var result;
+            try {
+              result = jscDataService.validate(records, scope.schema);
+            } catch (e) {
+              // Invalid schema: report it once and use the records as they are
+              if (validationHashes[key] !== e.message) {
+                validationHashes[key] = e.message;
+                handlers.onError(jscErrors.report(JscError.VALIDATION_FAILED, 'Invalid schema', e));
+              }
+              return records;
+            }
+
+            var hash = jscPerformance.computeHash(result.errors);
+
+            if (hash !== validationHashes[key]) {
+              validationHashes[key] = hash;
+              if (result.errors.length) {
+                var error = result.errors[0];
+                handlers.onError(jscErrors.report(JscError.VALIDATION_FAILED, 'Invalid data: ' +
+                  (describe ? describe(error) : 'row ' + (error.index + 1)) + ', field "' + error.field + '": ' +
+                  error.message + (result.errors.length > 1 ? ' (and ' + (result.errors.length - 1) + ' more)' : ''),
+                  result.errors));
+              }
+            }
+            return result.data;
+          }
+
+          /**
+           * Validate the points of jsc-series with jsc-schema
+           * @param {Array} series - Bound series
+           * @returns {Array} Series with validated points
+           */
+          function validateSeries(series) {
+            var points = [];
+            var locations = [];
+
+            series.forEach(function(item, seriesIndex) {
+              (item && angular.isArray(item.points) ? item.points : []).forEach(function(point, index) {
+                points.push(point);
+                locations.push({ series: item.name || seriesIndex, index: index });
+              });
+            });
+
+            var validated = validateRecords('series', points, function(error) {
+              var location = locations[error.index];
+              return 'series "' + location.series + '", point ' + (location.index + 1);
+            });
+
+            var offset = 0;
+            return series.map(function(item) {
+              if (!item || !angular.isArray(item.points)) {
+                return item;
+              }
+              var count = item.points.length;
+              offset += count;
+              return angular.extend({}, item, { points: validated.slice(offset - count, offset) });
+            });
+          }
+
+          /**
+           * Get the jsc-max-points settings
+           * @returns {Object|null} { points, method }, or null when not downsampling
+           */
+          function getMaxPoints() {
+            var max = angular.isObject(scope.maxPoints) ? scope.maxPoints : { points: scope.maxPoints };
+            return max.points > 0 ? { points: max.points, method: max.method || 'lttb' } : null;
+          }
+
+          /**
+           * Copy a series, downsampling its points to jsc-max-points. Within
+           * a zoomed range the points are kept at full resolution.
+           */
+          function downsampleSeries(series) {
+            var max = getMaxPoints();
+            if (!max || !series || !angular.isArray(series.points) || series.points.length <= max.points) {
+              return angular.copy(series);
+            }
+
+            var copy = angular.copy(angular.extend({}, series, { points: [] }));
+            copy.points = angular.copy(jscPerformance.downsample(series.points, max.points,
+              angular.extend({ method: max.method }, downsampleRange)));
+            return copy;
+          }
+
+          /**
+           * Downsample again for the visible x range after zooming or
+           * scrolling
+           */
+          function refreshDownsampleRange() {
+            var chart = handlers.getChart();
+            if (!chart || !getMaxPoints()) {
+              return;
+            }
+
+            var range = jscChartFactory.getZoomRange(chart);
+            var toNumber = function(value) {
+              return angular.isDate(value) ? value.getTime() : value;
+            };
+            var next = range ? { xMin: toNumber(range.xMin), xMax: toNumber(range.xMax) } : null;
+
+            if (!angular.equals(next, downsampleRange)) {
+              downsampleRange = next;
+              handlers.onChange();
+            }
+          }
+
+          /**
+           * Fetch jsc-data-url and apply the grouped series. With
+           * jsc-refresh-interval the source is polled again after each load.
+           * @param {boolean} [refresh] - Bypass cached responses
+           */
+          function loadData(refresh) {
+            var id = ++dataRequestId;
+
+            if (refreshTimeout) {
+              $timeout.cancel(refreshTimeout);
+              refreshTimeout = null;
+            }
+
+            if (!scope.dataUrl) {
+              applyData(null);
+              return;
+            }
+
+            jscDataService.fetchData(scope.dataUrl, refresh ? { cache: { refresh: true } } : undefined).then(function(rows) {
+              if (id !== dataRequestId || isDestroyed) {
+                return;
+              }
+              dataRows = rows;
+              applyData(jscDataService.rowsToSeries(getValidRows(), scope.dataMapping));
+            }).catch(function(error) {
+              if (id !== dataRequestId || isDestroyed) {
+                return;
+              }
+              console.warn('Error loading chart data:', error);
+              handlers.onError(jscErrors.isJscError(error) ? error :
+                jscErrors.report(JscError.DATA_LOAD_FAILED, 'Error loading chart data', error));
+            }).finally(function() {
+              if (id === dataRequestId && !isDestroyed && scope.refreshInterval > 0) {
+                refreshTimeout = $timeout(function() {
+                  loadData(true);
+                }, scope.refreshInterval);
+              }
+            });
+          }
+
+          /**
+           * Get the jsc-data-url rows, validated with jsc-schema
+           */
+          function getValidRows() {
+            return scope.schema && angular.isArray(dataRows) ? validateRecords('data', dataRows) : dataRows;
+          }
+
+          /**
+           * Apply series loaded from jsc-data-url
+           * @param {Array|null} series - Loaded series
+           */
+          function applyData(series) {
+            if (jscPerformance.computeHash(series) === jscPerformance.computeHash(dataSeries)) {
+              return;
+            }
+            dataSeries = series;
+            handlers.onChange();
+          }
+
+          // Load jsc-data-url, again whenever the URL changes
+          scope.$watch('dataUrl', function() {
+            loadData();
+          });
+
+          // Re-group loaded rows when the mapping changes
+          scope.$watch('dataMapping', function(newVal, oldVal) {
+            if (!angular.equals(newVal, oldVal) && dataRows) {
+              try {
+                applyData(jscDataService.rowsToSeries(getValidRows(), newVal));
+              } catch (e) {
+                handlers.onError(e);
+              }
+            }
+          }, true);
+
+          // Restart polling when the refresh interval changes
+          scope.$watch('refreshInterval', function(newVal, oldVal) {
+            if (newVal !== oldVal && scope.dataUrl) {
+              loadData();
+            }
+          });
+
+          // Validate the data again when the schema changes
+          scope.$watch('schema', function(newVal, oldVal) {
+            if (angular.equals(newVal, oldVal)) {
+              return;
+            }
+            try {
+              if (dataRows) {
+                applyData(jscDataService.rowsToSeries(getValidRows(), scope.dataMapping));
+              } else {
+                handlers.onChange();
+              }
+            } catch (e) {
+              handlers.onError(e);
+            }
+          }, true);
+
+          // Downsample again when the point limit changes
+          scope.$watch('maxPoints', function(newVal, oldVal) {
+            if (!angular.equals(newVal, oldVal)) {
+              handlers.onChange();
+            }
+          }, true);
+
+          scope.$on('$destroy', function() {
+            isDestroyed = true;
+            if (refreshTimeout) {
+              $timeout.cancel(refreshTimeout);
+            }
+          });
+
+          return {
+            getBoundSeries: getBoundSeries,
+
+            /**
+             * Get the series loaded from jsc-data-url
+             * @returns {Array|null} Series, or null while not loaded
+             */
+            getDataSeries: function() {
+              return dataSeries;
+            },
+
+            load: loadData,
+
+            /**
+             * Get the handler keeping the downsampled range in step with
+             * a chart event
+             * @param {string} name - Callback binding (e.g. 'onZoomed')
+             * @returns {Function|null}
+             */
+            getEventHandler: function(name) {
+              return (name === 'onZoomed' || name === 'onScrolled') && attrs.jscMaxPoints ?
+                refreshDownsampleRange : null;
+            },
+
+            /**
+             * Downsample again for the visible x range, e.g. after zooming
+             */
+            refreshRange: refreshDownsampleRange,
+
+            /**
+             * Report validation problems of the current data again
+             */
+            resetValidation: function() {
+              validationHashes = {};
+            },
+
+            /**
+             * Forget the downsampled range (chart destroyed)
+             */
+            reset: function() {
+              downsampleRange = null;
+            }
+          };
+        }
+
+        return {
+          attach: attach
+        };
+      }
+    ]);
+
+})(angular);
@@ -34,8 +34,8 @@
         return this;
       };
 
-      this.$get = ['$q', '$timeout', 'jscModuleLoader', 'jscConfig',
-        function($q, $timeout, jscModuleLoader, jscConfig) {
+      this.$get = ['$q', '$timeout', 'jscModuleLoader', 'jscConfig', 'jscErrors', 'JscError',
+        function($q, $timeout, jscModuleLoader, jscConfig, jscErrors, JscError) {
 
           // Track all chart instances
           var instances = {};
@@ -64,13 +64,14 @@
              * @param {HTMLElement|string} target - Target element or element ID
              * @param {Object} options - Chart configuration
              * @param {Function} [callback] - Optional callback after chart loads
-             * @returns {Promise<Object>} Resolves with chart instance
+             * @returns {Promise<Object>} Resolves with chart instance, rejects with a JscError
              */
             create: function(target, options, callback) {
               var deferred = $q.defer();
 
               if (!isJSCAvailable()) {
-                deferred.reject('JSCharting library is not loaded. Please include jscharting.js.');
+                deferred.reject(jscErrors.report(JscError.LIBRARY_MISSING,
+                  'JSCharting library is not loaded. Please include jscharting.js.'));
                 return deferred.promise;
               }
 
@@ -101,7 +102,7 @@
                     });
                   });
                 } catch (e) {
-                  deferred.reject('Error creating chart: ' + e.message);
+                  deferred.reject(jscErrors.report(JscError.CREATE_FAILED, 'Error creating chart', e));
                 }
               }).catch(function(error) {
                 deferred.reject(error);
@@ -117,11 +118,19 @@
              * @param {HTMLElement|string} target - Target element or element ID
              * @param {Object} options - Chart configuration
              * @param {Function} [callback] - Optional callback after chart loads
+             * @param {Function} [errorCallback] - Optional callback with the JscError if creation fails
              * @returns {Object|null} Chart instance or null if creation fails
              */
-            createSync: function(target, options, callback) {
+            createSync: function(target, options, callback, errorCallback) {
+              var error;
+
               if (!isJSCAvailable()) {
                 console.error('JSCharting library is not loaded.');
+                error = jscErrors.report(JscError.LIBRARY_MISSING,
+                  'JSCharting library is not loaded. Please include jscharting.js.');
+                if (errorCallback) {
+                  errorCallback(error);
+                }
                 return null;
               }
 
@@ -151,6 +160,10 @@
                 return chart;
               } catch (e) {
                 console.error('Error creating chart:', e);
+                error = jscErrors.report(JscError.CREATE_FAILED, 'Error creating chart', e);
+                if (errorCallback) {
+                  errorCallback(error);
+                }
                 return null;
               }
             },
@@ -259,6 +272,7 @@
                   return true;
                 } catch (e) {
                   console.warn('Error updating chart:', e);
+                  jscErrors.report(JscError.UPDATE_FAILED, 'Error updating chart', e);
                 }
               }
 
@@ -292,14 +306,14 @@
              * @param {string} [options.filename] - Download filename
              * @param {number} [options.width] - Image width
              * @param {number} [options.height] - Image height
-             * @returns {Promise} Resolves when export is complete
+             * @returns {Promise} Resolves when export is complete, rejects with a JscError
              */
             exportImage: function(idOrChart, options) {
               var deferred = $q.defer();
               var chart = typeof idOrChart === 'string' ? this.get(idOrChart) : idOrChart;
 
               if (!chart || typeof chart.exportImage !== 'function') {
-                deferred.reject('Chart not found or does not support export');
+                deferred.reject(jscErrors.report(JscError.EXPORT_FAILED, 'Chart not found or does not support export'));
                 return deferred.promise;
               }
 
@@ -311,7 +325,7 @@
                 chart.exportImage(exportOptions);
                 deferred.resolve();
               } catch (e) {
-                deferred.reject('Export failed: ' + e.message);
+                deferred.reject(jscErrors.report(JscError.EXPORT_FAILED, 'Export failed', e));
               }
 
               return deferred.promise;
@@ -445,6 +459,33 @@
               }
 
               return false;
+            },
+
+            /**
+             * Get the visible range of the main x and y axes
+             *
+             * @param {string|Object} idOrChart - Chart ID or chart instance
+             * @returns {Object|null} { xMin, xMax, yMin, yMax }, or null if unavailable
+             */
+            getZoomRange: function(idOrChart) {
+              var chart = typeof idOrChart === 'string' ? this.get(idOrChart) : idOrChart;
+
+              if (chart && typeof chart.axes === 'function') {
+                try {
+                  var xRange = chart.axes('x').getRange();
+                  var yRange = chart.axes('y').getRange();
+                  return {
+                    xMin: xRange.min,
+                    xMax: xRange.max,
+                    yMin: yRange.min,
+                    yMax: yRange.max
+                  };
+                } catch (e) {
+                  console.warn('Failed to read zoom range:', e);
+                }
+              }
+
+              return null;
             }
           };
         }
@@ -0,0 +1,162 @@
+/**
+ * JSCharting AngularJS Chart Items Service
+ *
+ * Tracks the axes, axis markers and annotations sent to a chart so the
+ * ones removed from the configuration can be removed from the loaded chart.
+ * chart.options() merges these items by id and never removes them.
+ *
+ * Usage:
+ *   var items = jscChartItems.createTracker(function() { return chart; });
+ *   items.track(config);                 // chart created from config
+ *   if (!items.removeDeleted(partial)) { // before chart.options(partial)
+ *     // An axis was removed; re-create the chart
+ *   }
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .factory('jscChartItems', [function() {
+
+      // Config keys holding tracked items
+      var ITEM_KEYS = ['xAxis', 'yAxis', 'annotations'];
+
+      /**
+       * Get an xAxis, yAxis or annotations config value as an array
+       */
+      function getItems(value) {
+        return angular.isArray(value) ? value : (value ? [value] : []);
+      }
+
+      /**
+       * Get the ids that are no longer used by any of the items
+       */
+      function getDeletedIds(renderedIds, items) {
+        var ids = items.map(function(item) {
+          return item.id;
+        });
+        return renderedIds.filter(function(id) {
+          return id !== undefined && ids.indexOf(id) === -1;
+        });
+      }
+
+      /**
+       * Remove a chart item through the chart API
+       */
+      function removeItem(description, getItem) {
+        try {
+          var item = getItem();
+          if (item) {
+            item.remove();
+          }
+        } catch (e) {
+          console.warn('Error removing ' + description + ':', e);
+        }
+      }
+
+      /**
+       * Create a tracker for the items of a chart
+       *
+       * @param {Function} getChart - Returns the loaded chart
+       * @returns {Object} Tracker with track(config, keys) and removeDeleted(config, keys)
+       */
+      function createTracker(getChart) {
+        var rendered = {};
+
+        ITEM_KEYS.forEach(function(key) {
+          rendered[key] = [];
+        });
+
+        /**
+         * Get the ids of the rendered items of a key
+         */
+        function getRenderedIds(key) {
+          return rendered[key].map(function(item) {
+            return item.id;
+          });
+        }
+
+        /**
+         * Remember the items sent to the chart
+         * @param {Object} config - Chart configuration
+         * @param {Array<string>} [keys] - Config keys to remember, all by default
+         */
+        function track(config, keys) {
+          (keys || ITEM_KEYS).forEach(function(key) {
+            rendered[key] = getItems(config[key]).map(function(item) {
+              return {
+                id: item.id,
+                markers: (item.markers || []).map(function(marker) {
+                  return marker.id;
+                })
+              };
+            });
+          });
+        }
+
+        /**
+         * Remove axis markers and annotations that are no longer
+         * configured from the loaded chart
+         * @param {Object} config - Options being applied
+         * @param {Array<string>} [keys] - Config keys being applied, all by default
+         * @returns {boolean} false when an axis was removed, which
+         *   requires re-creating the chart
+         */
+        function removeDeleted(config, keys) {
+          keys = ITEM_KEYS.filter(function(key) {
+            return !keys || keys.indexOf(key) !== -1;
+          });
+
+          var axisRemoved = keys.some(function(key) {
+            var axes = getItems(config[key]);
+            return key !== 'annotations' && (axes.length < rendered[key].length ||
+              getDeletedIds(getRenderedIds(key), axes).length > 0);
+          });
+          if (axisRemoved) {
+            return false;
+          }
+
+          var chart = getChart();
+          keys.forEach(function(key) {
+            var items = getItems(config[key]);
+
+            if (key === 'annotations') {
+              getDeletedIds(getRenderedIds(key), items).forEach(function(id) {
+                removeItem('annotation', function() {
+                  return chart.annotations(id);
+                });
+              });
+              return;
+            }
+
+            rendered[key].forEach(function(axis) {
+              var current = items.filter(function(item) {
+                return axis.id !== undefined && item.id === axis.id;
+              })[0];
+              if (!current) {
+                return;
+              }
+              getDeletedIds(axis.markers, current.markers || []).forEach(function(id) {
+                removeItem('axis marker', function() {
+                  return chart.axes(axis.id).markers(id);
+                });
+              });
+            });
+          });
+
+          track(config, keys);
+          return true;
+        }
+
+        return {
+          track: track,
+          removeDeleted: removeDeleted
+        };
+      }
+
+      return {
+        createTracker: createTracker
+      };
+    }]);
+
+})(angular);
@@ -0,0 +1,787 @@
+/**
+ * JSCharting AngularJS Chart Lifecycle Service
+ *
+ * The chart lifecycle shared by jsc-chart and the specialized chart
+ * directives (jsc-map, jsc-gantt, jsc-org-chart, jsc-radar, jsc-calendar).
+ * It gives them the jsc-chart binding and event surface:
+ *   - jsc-options, jsc-series, jsc-palette, jsc-muted, jsc-title, jsc-debug,
+ *     jsc-animation, jsc-legend-position, jsc-axis-to-zoom, jsc-width, jsc-height
+ *   - jsc-data-url, jsc-data-mapping, jsc-refresh-interval, jsc-schema and
+ *     jsc-max-points (see jscChartData)
+ *   - jsc-selected-points, jsc-zoom-range and jsc-visible-series (see
+ *     jscChartSync) and jsc-instance
+ *   - jsc-responsive, jsc-lazy, state templates and jsc-tooltip-template
+ *   - All chart, point, series, legend and axis tick event callbacks, and jsc-on-error
+ *   - Child elements (jsc-series, jsc-x-axis, jsc-annotation, ...) and
+ *     add-on directives, through JscChartController
+ *
+ * Options and series are watched by hash, updates made while the chart is
+ * loading are queued, and re-initialization is guarded against overlapping
+ * or outdated chart creations.
+ *
+ * Usage (in a directive):
+ *   transclude: true,
+ *   scope: jscChartLifecycle.bindings({
+ *     categories: '<?jscCategories'
+ *   }),
+ *   controller: 'JscChartController',
+ *   link: function(scope, element, attrs, ctrl, transclude) {
+ *     var lifecycle = jscChartLifecycle.attach(scope, element, attrs, {
+ *       name: 'radar chart',
+ *       controller: ctrl,
+ *       transclude: transclude,
+ *       loadModules: function() {
+ *         return jscModuleLoader.loadTypes();
+ *       },
+ *       configure: function(config) {
+ *         config.type = 'radar';
+ *         jscChartLifecycle.eachAxis(config, 'xAxis', function(axis) {
+ *           axis.categories = scope.categories;
+ *         });
+ *       }
+ *     });
+ *
+ *     lifecycle.watch('categories', function() {
+ *       lifecycle.update({ xAxis: lifecycle.buildConfig(['xAxis']).xAxis });
+ *     });
+ *   }
+ */
+(function(angular) {
+  'use strict';
+
+  // Event groups exposed as callbacks (see jscEventService)
+  var EVENT_GROUPS = ['chart', 'point', 'series', 'legendEntry', 'axisTick'];
+
+  angular.module('jsc.angular.core')
+    .factory('jscChartLifecycle', [
+      '$timeout',
+      'jscChartFactory',
+      'jscConfig',
+      'jscEventService',
+      'jscPerformance',
+      'jscSeriesDiff',
+      'jscResponsive',
+      'jscViewport',
+      'jscStateOverlay',
+      'jscTooltip',
+      'jscChartData',
+      'jscChartSync',
+      'jscChartItems',
+      'jscErrors',
+      'JscError',
+      function($timeout, jscChartFactory, jscConfig, jscEventService, jscPerformance, jscSeriesDiff, jscResponsive, jscViewport, jscStateOverlay, jscTooltip, jscChartData, jscChartSync, jscChartItems, jscErrors, JscError) {
+
+      /**
+       * Get the isolate scope bindings shared by chart directives
+       * @param {Object} [extra] - Directive specific bindings (take precedence)
+       * @returns {Object} Scope definition
+       */
+      function bindings(extra) {
+        var scope = {
+          // One-way bindings for configuration (read-only from parent)
+          options: '<?jscOptions',
+          series: '<?jscSeries',
+          palette: '<?jscPalette',
+          muted: '<?jscMuted',
+          debug: '<?jscDebug',
+          animation: '<?jscAnimation',
+          title: '@?jscTitle',
+          legendPosition: '@?jscLegendPosition',
+          axisToZoom: '@?jscAxisToZoom',
+          width: '@?jscWidth',
+          height: '@?jscHeight',
+          responsive: '<?jscResponsive',
+          lazy: '<?jscLazy',
+
+          // Series loaded from a CSV or JSON URL, grouped by jsc-data-mapping
+          dataUrl: '@?jscDataUrl',
+          dataMapping: '<?jscDataMapping',
+          refreshInterval: '<?jscRefreshInterval',
+
+          // Downsample bound series to a number of points, or { points, method }
+          maxPoints: '<?jscMaxPoints',
+
+          // Validate jsc-data-url rows or jsc-series points (see jscDataService.validate)
+          schema: '<?jscSchema',
+
+          // Two-way binding for instance output
+          chartInstance: '=?jscInstance',
+
+          // Two-way binding for selected point ids
+          selectedPoints: '=?jscSelectedPoints',
+
+          // Two-way binding for the visible range ({ xMin, xMax, yMin, yMax })
+          zoomRange: '=?jscZoomRange',
+
+          // Two-way binding for visible series names/ids
+          visibleSeries: '=?jscVisibleSeries',
+
+          // Templates rendered over the chart (URL or $templateCache id)
+          loadingTemplate: '@?jscLoadingTemplate',
+          emptyTemplate: '@?jscEmptyTemplate',
+          errorTemplate: '@?jscErrorTemplate',
+
+          // Point tooltip template (expression: URL, $templateCache id or inline template)
+          tooltipTemplate: '<?jscTooltipTemplate',
+
+          // Error callback (called with a JscError)
+          onError: '&?jscOnError'
+        };
+
+        // Event callbacks (onLoad: '&?jscOnLoad', onPointClick: '&?jscOnPointClick', ...)
+        var eventMap = jscEventService.getEventMap();
+        EVENT_GROUPS.forEach(function(group) {
+          angular.forEach(eventMap[group], function(attrName) {
+            scope[jscEventService.getScopeName(attrName)] = '&?' + attrName;
+          });
+        });
+
+        return angular.extend(scope, extra);
+      }
+
+      /**
+       * Get the normalized attribute name of a binding (data -> jscData)
+       */
+      function getAttrName(key) {
+        return 'jsc' + key.charAt(0).toUpperCase() + key.slice(1);
+      }
+
+      /**
+       * Apply settings to the axis of an xAxis or yAxis config key, or to
+       * each axis when child axes made it an array
+       * @param {Object} config - Chart configuration
+       * @param {string} key - 'xAxis' or 'yAxis'
+       * @param {Function} fn - Called with each axis configuration
+       */
+      function eachAxis(config, key, fn) {
+        config[key] = config[key] || {};
+        (angular.isArray(config[key]) ? config[key] : [config[key]]).forEach(fn);
+      }
+
+      /**
+       * Attach the chart lifecycle to a directive
+       *
+       * @param {Object} scope - Directive scope (created from bindings())
+       * @param {jqLite} element - Chart container
+       * @param {Object} attrs - Directive attributes
+       * @param {Object} definition
+       * @param {string} definition.name - Chart name used in messages (e.g. 'gantt chart')
+       * @param {Object} definition.controller - The directive's JscChartController
+       * @param {Function} [definition.transclude] - Transclude function linking child elements
+       * @param {Function} definition.loadModules - Returns a promise for the modules the chart needs
+       * @param {Function} [definition.configure] - Applies directive specific settings to the config
+       * @param {Array<string>} [definition.dataKeys] - Data bindings checked for the empty
+       *   and loading states besides the series (e.g. ['data'])
+       * @returns {Object} Lifecycle with getChart(), buildConfig(), update(partial),
+       *   scheduleUpdate(), rebuild(), refreshDataState() and watch(expression, listener)
+       */
+      function attach(scope, element, attrs, definition) {
+        var ctrl = definition.controller;
+        var chart = null;
+        var debounceTimeout = null;
+        var isInitialized = false;
+        var isDestroyed = false;
+        var pendingUpdate = null;
+        var initializationInProgress = false;
+        var lastOptionsHash = null;
+        var lastSeriesHash = null;
+        var lastDataHash = null;
+        var lastSeries = [];
+        var changedWhileLoading = false;
+        var isInViewport = false;
+        var stopViewport = angular.noop;
+        var dataKeys = definition.dataKeys || [];
+
+        // Get debounce time from config
+        var updateDebounceTime = jscConfig.getUpdateDebounceTime();
+
+        // Lazy creation: jsc-lazy (true/false or { rootMargin, unloadMargin })
+        // overrides the global jscConfigProvider.setLazy() setting
+        var lazy = jscConfig.getLazy();
+        if (angular.isObject(scope.lazy)) {
+          angular.extend(lazy, { enabled: true }, scope.lazy);
+        } else if (scope.lazy !== undefined) {
+          lazy.enabled = !!scope.lazy;
+        }
+
+        // Child directives are linked into a hidden holder so they are not
+        // affected by the chart rendering into the element. The controller
+        // is stored on the holder so late children (ng-repeat) can still
+        // require it if the chart replaces the element contents.
+        var childHolder = angular.element('<div class="jsc-chart-children" style="display: none;"></div>');
+        childHolder.data('$jscChartController', ctrl);
+        element.append(childHolder);
+        if (definition.transclude) {
+          definition.transclude(function(clone) {
+            childHolder.append(clone);
+          });
+        }
+
+        /**
+         * Get the chart instance, also while it is loading
+         */
+        function getChart() {
+          return chart;
+        }
+
+        /**
+         * Get the chart once it is loaded
+         */
+        function getLoadedChart() {
+          return isInitialized ? chart : null;
+        }
+
+        // Axes, axis markers and annotations sent to the chart
+        var items = jscChartItems.createTracker(getChart);
+
+        // Bound series: jsc-series, jsc-data-url, jsc-schema and jsc-max-points
+        var data = jscChartData.attach(scope, attrs, {
+          getChart: getLoadedChart,
+          onChange: function() {
+            if (isInitialized && chart) {
+              lastDataHash = jscPerformance.computeHash(data.getDataSeries());
+              updateSeries(data.getBoundSeries());
+            }
+          },
+          onError: handleError
+        });
+
+        // jsc-selected-points, jsc-zoom-range and jsc-visible-series
+        var sync = jscChartSync.attach(scope, attrs, {
+          getChart: getLoadedChart,
+          onZoom: data.refreshRange
+        });
+
+        // Child axes/annotations changed: re-apply only the affected keys
+        ctrl.setUpdateHandler(function(keys) {
+          var config = buildConfig(keys);
+          var partial = {};
+          keys.forEach(function(key) {
+            if (config[key] !== undefined) {
+              partial[key] = config[key];
+            }
+          });
+
+          if (!items.removeDeleted(partial, keys)) {
+            rebuildChart();
+            return;
+          }
+          if (Object.keys(partial).length) {
+            updateChart(partial);
+          }
+          refreshDataState();
+        });
+
+        // Options passed to the controller's update()
+        ctrl.setOptionsHandler(function(partial) {
+          updateChart(partial);
+          refreshDataState();
+        });
+
+        // Redraw on container resize and apply jsc-responsive rules at breakpoints
+        var responsive = jscResponsive.attach(element[0], {
+          getChart: getLoadedChart,
+          getRules: function() {
+            return scope.responsive;
+          }
+        });
+
+        // Loading, empty and error templates; $retry() reloads jsc-data-url
+        // and re-runs initialization
+        var overlay = jscStateOverlay.attach(element, scope, function(state) {
+          return scope[state + 'Template'];
+        }, function() {
+          if (scope.dataUrl) {
+            data.load();
+          }
+          rebuildChart();
+        });
+
+        // Angular-compiled point tooltips (jsc-tooltip-template)
+        var tooltip = jscTooltip.attach(scope, function() {
+          return scope.tooltipTemplate;
+        }, getChart);
+
+        /**
+         * Get the handlers keeping two-way bindings and the downsampled
+         * range in step with a chart event
+         * @param {string} name - Callback binding (e.g. 'onZoomed')
+         */
+        function getEventSyncs(name) {
+          return [sync.getEventHandler(name), data.getEventHandler(name)].filter(Boolean);
+        }
+
+        // Chart events also sync the bindings and reach the controller's
+        // on() listeners (see jscEventService.wireAllEvents)
+        var eventHandlers = {
+          handles: function(name) {
+            return getEventSyncs(name).length > 0 || ctrl.hasListeners(jscEventService.getEventName(name));
+          },
+          notify: function(name, locals) {
+            getEventSyncs(name).forEach(function(handler) {
+              handler(locals);
+            });
+            ctrl.emit(jscEventService.getEventName(name), locals);
+          }
+        };
+
+        /**
+         * Build chart configuration from scope bindings
+         * @param {Array<string>} [keys] - Config keys being re-applied to the
+         *   loaded chart. Series are only built for the full configuration.
+         */
+        function buildConfig(keys) {
+          // Start with options or empty object
+          var config = angular.copy(scope.options) || {};
+
+          if (!keys) {
+            if (scope.series || data.getDataSeries()) {
+              config.series = data.getBoundSeries();
+            }
+
+            // Merge series declared through child elements
+            var childSeries = ctrl.collectSeries();
+            if (childSeries.length) {
+              config.series = (config.series || []).concat(childSeries);
+            }
+          }
+
+          // Merge axes and annotations declared through child elements
+          ctrl.applyItems(config);
+
+          // Apply individual attribute bindings (higher priority)
+          if (scope.palette !== undefined) {
+            config.palette = scope.palette;
+          }
+          if (scope.debug !== undefined) {
+            config.debug = scope.debug;
+          }
+          if (scope.animation !== undefined) {
+            config.animation = scope.animation;
+          }
+          if (scope.title) {
+            config.title = config.title || {};
+            config.title.label = config.title.label || {};
+            config.title.label.text = scope.title;
+          }
+          if (scope.legendPosition) {
+            config.legend = config.legend || {};
+            config.legend.position = scope.legendPosition;
+          }
+          if (scope.axisToZoom) {
+            config.axisToZoom = scope.axisToZoom;
+          }
+          if (scope.width) {
+            config.width = scope.width;
+          }
+          if (scope.height) {
+            config.height = scope.height;
+          }
+          if (scope.muted !== undefined) {
+            config.muted = scope.muted;
+          }
+
+          if (definition.configure) {
+            definition.configure(config);
+          }
+
+          // Merge responsive rules matching the container size
+          responsive.apply(config, keys);
+
+          // Wire event callbacks; onLoad is called once the chart is ready
+          jscEventService.wireAllEvents(config, scope, getChart, eventHandlers);
+          delete config.events.load;
+          tooltip.wire(config);
+
+          return config;
+        }
+
+        /**
+         * Initialize the chart
+         */
+        function initChart() {
+          // Prevent concurrent initialization
+          if (initializationInProgress) {
+            return;
+          }
+          initializationInProgress = true;
+          overlay.setState('loading');
+
+          // Report validation problems of the current data again
+          data.resetValidation();
+
+          // Load required modules first
+          definition.loadModules().then(function() {
+            // Create on the next tick so child elements linked in the
+            // current digest (e.g. by ng-repeat) are in the initial config
+            return $timeout(createChart);
+          }).catch(function(error) {
+            console.error('Failed to load ' + definition.name + ' modules:', error);
+            initializationInProgress = false;
+            handleError(jscErrors.isJscError(error) ? error :
+              jscErrors.report(JscError.CREATE_FAILED, 'Error creating chart', error));
+          });
+        }
+
+        /**
+         * Check whether the options, series or loaded data changed since
+         * the hashes were stored, storing the new hashes
+         */
+        function updateHashes() {
+          var optionsHash = jscPerformance.computeHash(scope.options);
+          var seriesHash = jscPerformance.computeHash(scope.series);
+          var dataHash = jscPerformance.computeHash(data.getDataSeries());
+          var changed = optionsHash !== lastOptionsHash || seriesHash !== lastSeriesHash ||
+            dataHash !== lastDataHash;
+
+          lastOptionsHash = optionsHash;
+          lastSeriesHash = seriesHash;
+          lastDataHash = dataHash;
+          return changed;
+        }
+
+        /**
+         * Create the chart instance from the current configuration
+         */
+        function createChart() {
+          // Check if we were destroyed while loading, or a lazy chart
+          // left the viewport again
+          if (isDestroyed || !element || !element[0] || (lazy.enabled && !isInViewport)) {
+            initializationInProgress = false;
+            return;
+          }
+
+          // Store hashes for efficient change detection
+          updateHashes();
+          changedWhileLoading = false;
+
+          var config = buildConfig();
+          lastSeries = data.getBoundSeries();
+          items.track(config);
+
+          chart = jscChartFactory.createSync(element[0], config, function(chartInstance) {
+            // Chart is fully loaded
+            $timeout(function() {
+              // Only set if still valid
+              if (chart === chartInstance) {
+                scope.chartInstance = chartInstance;
+                isInitialized = true;
+                initializationInProgress = false;
+                ctrl.attachChart(chartInstance);
+                sync.apply();
+                refreshDataState();
+
+                if (scope.onLoad) {
+                  scope.onLoad({ chart: chartInstance });
+                }
+
+                // Process any pending updates
+                if (pendingUpdate) {
+                  updateChart(pendingUpdate);
+                  pendingUpdate = null;
+                }
+
+                // Apply binding changes made while the chart was loading
+                if (updateHashes() || changedWhileLoading) {
+                  scheduleUpdate();
+                }
+              }
+            });
+          }, function(error) {
+            initializationInProgress = false;
+            handleError(error);
+          });
+        }
+
+        /**
+         * Show the error state and notify jsc-on-error
+         * @param {JscError} error
+         */
+        function handleError(error) {
+          overlay.setState('error', error);
+          ctrl.emit('error', error);
+          if (scope.onError) {
+            scope.onError({ error: error, chart: chart });
+          }
+        }
+
+        /**
+         * Get the overlay state for the current data: 'loading' while the
+         * jsc-series binding or a data binding of the directive is undefined,
+         * or jsc-data-url has not loaded, 'empty' without any data
+         */
+        function getDataState() {
+          var dataSeries = data.getDataSeries();
+          var config = {
+            series: ((scope.options && scope.options.series) || [])
+              .concat(scope.series || [], dataSeries || [], ctrl.getSeriesConfigs())
+          };
+          var isWaiting = (!!attrs.jscSeries && scope.series === undefined) ||
+            (!!scope.dataUrl && dataSeries === null);
+
+          dataKeys.forEach(function(key) {
+            config[key] = scope[key];
+            if (attrs[getAttrName(key)] && scope[key] === undefined) {
+              isWaiting = true;
+            }
+          });
+
+          return jscStateOverlay.getDataState(config, isWaiting);
+        }
+
+        /**
+         * Update the overlay after data changes (errors stay until retried)
+         */
+        function refreshDataState() {
+          if (isInitialized && overlay.getState() !== 'error') {
+            overlay.setState(getDataState());
+          }
+        }
+
+        /**
+         * Apply options to the chart. Updates made while the chart is
+         * loading are queued and applied once it is ready.
+         * @param {Object} newConfig - Chart options
+         */
+        function updateChart(newConfig) {
+          if (!chart || !isInitialized) {
+            pendingUpdate = angular.extend(pendingUpdate || {}, newConfig);
+            return;
+          }
+
+          try {
+            chart.options(newConfig);
+            ctrl.emit('update', chart);
+          } catch (e) {
+            console.warn('Error updating ' + definition.name + ':', e);
+            handleError(jscErrors.report(JscError.UPDATE_FAILED, 'Error updating ' + definition.name, e));
+          }
+        }
+
+        /**
+         * Apply bound series changes incrementally. Falls back to
+         * replacing all series when the change cannot be diffed.
+         */
+        function updateSeries(newSeries) {
+          var operations = jscSeriesDiff.diff(lastSeries, newSeries);
+          lastSeries = newSeries;
+
+          if (operations) {
+            try {
+              jscSeriesDiff.apply(chart, operations);
+              ctrl.emit('update', chart);
+              sync.reconcile();
+              refreshDataState();
+              return;
+            } catch (e) {
+              console.warn('Incremental series update failed, replacing series:', e);
+            }
+          }
+
+          updateChart({ series: angular.copy(newSeries).concat(ctrl.collectSeries()) });
+          sync.reconcile();
+          refreshDataState();
+        }
+
+        /**
+         * Schedule a debounced update
+         */
+        function scheduleUpdate() {
+          if (debounceTimeout) {
+            $timeout.cancel(debounceTimeout);
+          }
+
+          debounceTimeout = $timeout(function() {
+            var config = buildConfig();
+            lastSeries = data.getBoundSeries();
+            if (!items.removeDeleted(config)) {
+              rebuildChart();
+              return;
+            }
+            updateChart(config);
+            sync.reconcile();
+            refreshDataState();
+          }, updateDebounceTime);
+        }
+
+        // Watch for options changes using hash-based comparison for efficiency
+        scope.$watch('options', function(newVal) {
+          if (!isInitialized) return;
+
+          // Use hash comparison instead of deep watch for better performance
+          var newHash = jscPerformance.computeHash(newVal);
+          if (newHash !== lastOptionsHash) {
+            lastOptionsHash = newHash;
+            scheduleUpdate();
+          }
+        }, true);
+
+        // Watch for series changes using hash-based comparison
+        scope.$watch('series', function(newVal) {
+          if (!isInitialized || !chart) return;
+
+          var newHash = jscPerformance.computeHash(newVal);
+          if (newHash !== lastSeriesHash) {
+            lastSeriesHash = newHash;
+            if (debounceTimeout) {
+              $timeout.cancel(debounceTimeout);
+            }
+            debounceTimeout = $timeout(function() {
+              // Snapshot the series; it is the baseline for the next diff
+              updateSeries(data.getBoundSeries());
+            }, updateDebounceTime);
+          }
+        }, true);
+
+        /**
+         * Destroy the chart instance. Bindings are kept so the chart can
+         * be created again from the current state.
+         */
+        function destroyChart() {
+          tooltip.hide();
+
+          if (debounceTimeout) {
+            $timeout.cancel(debounceTimeout);
+            debounceTimeout = null;
+          }
+          pendingUpdate = null;
+
+          if (chart) {
+            ctrl.detachChart();
+            jscChartFactory.destroy(chart);
+            chart = null;
+            scope.chartInstance = null;
+            isInitialized = false;
+            initializationInProgress = false;
+            sync.reset();
+            data.reset();
+          }
+        }
+
+        /**
+         * Destroy and recreate the chart
+         */
+        function rebuildChart() {
+          destroyChart();
+          initChart();
+        }
+
+        // Watch for responsive rule changes
+        scope.$watch('responsive', function(newVal, oldVal) {
+          if (!angular.equals(newVal, oldVal)) {
+            responsive.refresh();
+          }
+        }, true);
+
+        // Watch for tooltip template changes; switching between the
+        // built-in tooltip and a template requires a rebuild
+        scope.$watch('tooltipTemplate', function(newVal, oldVal) {
+          if (newVal === oldVal) {
+            return;
+          }
+          tooltip.hide();
+          if (!newVal !== !oldVal && isInitialized && !initializationInProgress) {
+            rebuildChart();
+          }
+        });
+
+        // Watch for palette changes
+        scope.$watch('palette', function(newVal, oldVal) {
+          if (newVal !== oldVal && chart) {
+            chart.options({ palette: newVal });
+          }
+        });
+
+        // Watch for muted state changes
+        scope.$watch('muted', function(newVal, oldVal) {
+          if (newVal !== oldVal && chart) {
+            chart.options({ muted: newVal });
+          }
+        });
+
+        /**
+         * Watch a binding by hash. The listener is called once the chart is
+         * ready; changes made while it loads trigger a full update instead.
+         * @param {string|Function} expression - Scope expression
+         * @param {Function} listener - Called with the new value
+         * @returns {Function} Deregistration function
+         */
+        function watchBinding(expression, listener) {
+          return scope.$watch(function() {
+            return jscPerformance.computeHash(scope.$eval(expression));
+          }, function(newHash, oldHash) {
+            if (newHash === oldHash) {
+              return;
+            }
+            if (!isInitialized) {
+              if (initializationInProgress) {
+                changedWhileLoading = true;
+              }
+              return;
+            }
+            listener(scope.$eval(expression));
+          });
+        }
+
+        // Cleanup on destroy
+        scope.$on('$destroy', function() {
+          isDestroyed = true;
+
+          if (debounceTimeout) {
+            $timeout.cancel(debounceTimeout);
+          }
+
+          ctrl.detachChart();
+          responsive.destroy();
+          stopViewport();
+          overlay.destroy();
+          tooltip.destroy();
+
+          if (chart) {
+            jscChartFactory.destroy(chart);
+            chart = null;
+          }
+
+          scope.chartInstance = null;
+          isInitialized = false;
+        });
+
+        // Initialize chart, or wait until it comes near the viewport
+        if (lazy.enabled) {
+          stopViewport = jscViewport.observe(element[0], lazy, {
+            enter: function() {
+              isInViewport = true;
+              if (!chart && !initializationInProgress) {
+                initChart();
+              }
+            },
+            leave: function() {
+              // Release charts that scrolled far away; they are recreated
+              // from the current bindings when they come back
+              isInViewport = false;
+              destroyChart();
+            }
+          });
+        } else {
+          initChart();
+        }
+
+        return {
+          getChart: getLoadedChart,
+          buildConfig: buildConfig,
+          update: updateChart,
+          scheduleUpdate: scheduleUpdate,
+          rebuild: rebuildChart,
+          refreshDataState: refreshDataState,
+          watch: watchBinding
+        };
+      }
+
+      return {
+        bindings: bindings,
+        eachAxis: eachAxis,
+        attach: attach
+      };
+    }]);
+
+})(angular);
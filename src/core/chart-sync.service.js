@@ -0,0 +1,312 @@
+/**
+ * JSCharting AngularJS Chart Sync Service
+ *
+ * Keeps the two-way bindings of the chart directives in step with the
+ * chart: jsc-selected-points (selected point ids), jsc-zoom-range (visible
+ * range { xMin, xMax, yMin, yMax }) and jsc-visible-series (names/ids of
+ * visible series). Model changes are applied to the chart; chart events
+ * copy the chart state back to the model.
+ *
+ * Usage (see jscChartLifecycle):
+ *   var sync = jscChartSync.attach(scope, attrs, {
+ *     getChart: function() { return isInitialized ? chart : null; },
+ *     onZoom: function() { ... }
+ *   });
+ *   sync.apply();   // chart loaded
+ *   sync.reset();   // chart destroyed
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .factory('jscChartSync', ['jscChartFactory', function(jscChartFactory) {
+
+      /**
+       * Get the value used to list a series in jsc-visible-series
+       */
+      function getSeriesKey(series) {
+        return series.name !== undefined && series.name !== null && series.name !== '' ?
+          series.name : series.id;
+      }
+
+      /**
+       * Check whether a series is listed by name or id
+       */
+      function isSeriesListed(list, series) {
+        return list.indexOf(series.name) !== -1 || list.indexOf(series.id) !== -1;
+      }
+
+      /**
+       * Attach the two-way bindings to a chart directive
+       *
+       * @param {Object} scope - Directive scope (see jscChartLifecycle.bindings())
+       * @param {Object} attrs - Directive attributes
+       * @param {Object} handlers
+       * @param {Function} handlers.getChart - Returns the loaded chart, or null
+       * @param {Function} [handlers.onZoom] - Called after the chart was zoomed from the model
+       * @returns {Object} Sync with apply(), reconcile(), getEventHandler(name) and reset()
+       */
+      function attach(scope, attrs, handlers) {
+        var lastSelectedIds = [];
+        var lastZoomRange = null;
+        var lastVisibleSeries = null;
+        var knownSeries = {};
+        var onZoom = handlers.onZoom || angular.noop;
+
+        /**
+         * Select the given point ids in the chart, deselecting points
+         * that were selected before but are no longer in the list
+         */
+        function applySelection(ids) {
+          var chart = handlers.getChart();
+          ids = ids || [];
+
+          if (!chart || typeof chart.series !== 'function') {
+            return;
+          }
+
+          try {
+            var points = chart.series().points;
+            lastSelectedIds.forEach(function(id) {
+              var point = ids.indexOf(id) === -1 ? points(id) : null;
+              if (point) {
+                point.select(false, true);
+              }
+            });
+            ids.forEach(function(id) {
+              var point = lastSelectedIds.indexOf(id) === -1 ? points(id) : null;
+              if (point) {
+                point.select(true, true);
+              }
+            });
+          } catch (e) {
+            console.warn('Error selecting points:', e);
+          }
+
+          lastSelectedIds = ids.slice();
+        }
+
+        /**
+         * Copy the selected points to the jsc-selected-points model
+         */
+        function syncSelection(locals) {
+          lastSelectedIds = (locals.points || []).map(function(point) {
+            return point.id;
+          });
+          scope.selectedPoints = lastSelectedIds.slice();
+        }
+
+        /**
+         * Copy the chart's visible range to the jsc-zoom-range model
+         */
+        function syncZoomRange() {
+          var range = jscChartFactory.getZoomRange(handlers.getChart());
+          if (range) {
+            lastZoomRange = range;
+            scope.zoomRange = angular.copy(range);
+          }
+        }
+
+        /**
+         * Zoom the chart to a range. When no y bounds are given only the
+         * x axis is zoomed; other missing bounds are taken from the current
+         * range. A null range resets the zoom.
+         */
+        function applyZoom(range) {
+          var chart = handlers.getChart();
+          if (!chart) {
+            return;
+          }
+
+          if (!range) {
+            jscChartFactory.resetZoom(chart);
+            lastZoomRange = null;
+            onZoom();
+            return;
+          }
+
+          var target = angular.extend({}, jscChartFactory.getZoomRange(chart), range);
+          var zoomY = range.yMin !== undefined || range.yMax !== undefined;
+
+          try {
+            chart.zoom(zoomY ?
+              [target.xMin, target.xMax, target.yMin, target.yMax] :
+              [target.xMin, target.xMax]);
+          } catch (e) {
+            console.warn('Error zooming chart:', e);
+          }
+
+          lastZoomRange = angular.copy(range);
+          onZoom();
+        }
+
+        /**
+         * Read the names/ids of visible series and remember all series
+         * seen so far
+         */
+        function readVisibleSeries() {
+          var chart = handlers.getChart();
+          var list = [];
+
+          if (!chart || typeof chart.series !== 'function') {
+            return list;
+          }
+
+          try {
+            chart.series().each(function(series) {
+              knownSeries[series.id] = true;
+              if (series.options('visible') !== false) {
+                list.push(getSeriesKey(series));
+              }
+            });
+          } catch (e) {
+            console.warn('Error reading series visibility:', e);
+          }
+
+          return list;
+        }
+
+        /**
+         * Copy the chart's series visibility to the jsc-visible-series model
+         */
+        function syncVisibleSeries() {
+          var list = readVisibleSeries();
+          if (!angular.equals(list, lastVisibleSeries)) {
+            lastVisibleSeries = list;
+            scope.visibleSeries = list.slice();
+          }
+        }
+
+        /**
+         * Show listed series and hide the others. Series added since the
+         * last sync keep their own visibility and are added to the model.
+         */
+        function applyVisibleSeries(list) {
+          var chart = handlers.getChart();
+          list = list || [];
+
+          if (!chart || typeof chart.series !== 'function') {
+            return;
+          }
+
+          try {
+            chart.series().each(function(series) {
+              if (!knownSeries[series.id]) {
+                return;
+              }
+              var visible = isSeriesListed(list, series);
+              if ((series.options('visible') !== false) !== visible) {
+                series.visible(visible);
+              }
+            });
+          } catch (e) {
+            console.warn('Error applying series visibility:', e);
+          }
+
+          lastVisibleSeries = list.slice();
+          syncVisibleSeries();
+        }
+
+        /**
+         * Forget the state of the destroyed chart
+         */
+        function reset() {
+          lastSelectedIds = [];
+          lastZoomRange = null;
+          lastVisibleSeries = null;
+          knownSeries = {};
+        }
+
+        // Watch for selection changes made from the controller
+        scope.$watchCollection('selectedPoints', function(newVal) {
+          if (!handlers.getChart()) return;
+
+          if (!angular.equals(newVal || [], lastSelectedIds)) {
+            applySelection(newVal);
+          }
+        });
+
+        // Watch for zoom range changes made from the controller
+        scope.$watch('zoomRange', function(newVal) {
+          if (!handlers.getChart()) return;
+
+          if (!angular.equals(newVal || null, lastZoomRange)) {
+            applyZoom(newVal);
+          }
+        }, true);
+
+        // Watch for series visibility changes made from the controller
+        scope.$watchCollection('visibleSeries', function(newVal) {
+          if (!handlers.getChart() || !attrs.jscVisibleSeries) return;
+
+          if (!angular.equals(newVal || [], lastVisibleSeries)) {
+            applyVisibleSeries(newVal);
+          }
+        });
+
+        scope.$on('$destroy', reset);
+
+        return {
+          /**
+           * Apply the models to the loaded chart
+           */
+          apply: function() {
+            if (scope.selectedPoints && scope.selectedPoints.length) {
+              applySelection(scope.selectedPoints);
+            }
+
+            if (scope.zoomRange) {
+              applyZoom(scope.zoomRange);
+            }
+
+            if (attrs.jscVisibleSeries) {
+              // Series rendered with the chart are all subject to the model
+              readVisibleSeries();
+              if (angular.isArray(scope.visibleSeries)) {
+                applyVisibleSeries(scope.visibleSeries);
+              } else {
+                syncVisibleSeries();
+              }
+            }
+          },
+
+          /**
+           * Re-apply the jsc-visible-series model after series were added
+           * or replaced
+           */
+          reconcile: function() {
+            if (attrs.jscVisibleSeries && handlers.getChart()) {
+              applyVisibleSeries(scope.visibleSeries);
+            }
+          },
+
+          /**
+           * Get the handler copying the chart state to a model on a chart
+           * event
+           * @param {string} name - Callback binding (e.g. 'onZoomed')
+           * @returns {Function|null} Called with the callback locals
+           */
+          getEventHandler: function(name) {
+            switch (name) {
+              case 'onZoomed':
+              case 'onScrolled':
+                return attrs.jscZoomRange ? syncZoomRange : null;
+              case 'onPointSelectionChanged':
+                return attrs.jscSelectedPoints ? syncSelection : null;
+              case 'onSeriesShow':
+              case 'onSeriesHide':
+                return attrs.jscVisibleSeries ? syncVisibleSeries : null;
+            }
+            return null;
+          },
+
+          reset: reset
+        };
+      }
+
+      return {
+        attach: attach
+      };
+    }]);
+
+})(angular);
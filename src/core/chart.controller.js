@@ -0,0 +1,514 @@
+/**
+ * JSCharting AngularJS Chart Controller
+ *
+ * Controller of jsc-chart and the specialized chart directives, used by
+ * child directives (jsc-series, jsc-point, jsc-x-axis, jsc-y-axis,
+ * jsc-annotation) to register declarative configuration with the chart.
+ *
+ * Add-on directives (toolbars, custom legends, ...) can require it with
+ * '^jscChart' or '^^jscChart' on any chart directive and use its public API:
+ *   - whenReady(): Promise resolved with the chart once it is loaded
+ *   - getChart(): The loaded chart, or null
+ *   - update(partial): Apply options to the loaded chart
+ *   - registerFragment(key, configPart): Merge config into every build
+ *   - on(event, fn): Listen to 'ready', 'update', 'destroy', 'error' and
+ *     chart events ('click', 'zoomed', 'pointClick', 'seriesHide', ...)
+ *
+ * Usage (in a directive):
+ *   require: '^jscChart',
+ *   link: function(scope, element, attrs, chartCtrl) {
+ *     chartCtrl.on('pointClick', function(locals) { ... });
+ *   }
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .controller('JscChartController', [
+      '$q',
+      '$element',
+      'jscEventService',
+      function($q, $element, jscEventService) {
+        var self = this;
+        var chart = null;
+        var ready = $q.defer();
+        var childSeries = [];
+        var pendingRemovals = [];
+        var fragments = {};
+        var listeners = {};
+
+        // Child items merged into array-valued config keys
+        var childItems = {
+          xAxis: [],
+          yAxis: [],
+          annotations: []
+        };
+        var dirtyKeys = {};
+        var updateHandler = null;
+        var optionsHandler = null;
+
+        // Config keys holding the callbacks of the chart events that can be
+        // passed to on(), by event name (pointClick -> defaultPoint)
+        var EVENT_KEYS = {};
+        angular.forEach({
+          chart: 'events',
+          point: 'defaultPoint',
+          series: 'defaultSeries',
+          legendEntry: 'legend',
+          axisTick: 'xAxis'
+        }, function(key, group) {
+          angular.forEach(jscEventService.getEventMap()[group], function(attrName) {
+            EVENT_KEYS[jscEventService.getEventName(attrName)] = key;
+          });
+        });
+
+        // Load is reported to on() listeners as ready
+        delete EVENT_KEYS.load;
+
+        // Stored under the jscChart name by every chart directive, so add-on
+        // directives on the same element find it with '^jscChart'
+        $element.data('$jscChartController', self);
+
+        /**
+         * Run a chart API call, logging instead of throwing on failure
+         */
+        function safeCall(description, fn) {
+          try {
+            fn();
+          } catch (e) {
+            console.warn('Error ' + description + ':', e);
+          }
+        }
+
+        /**
+         * Get a live series from the chart by id
+         */
+        function getChartSeries(id) {
+          if (!chart || typeof chart.series !== 'function') {
+            return null;
+          }
+          return chart.series(id) || null;
+        }
+
+        /**
+         * Add a registered series to the live chart
+         */
+        function addSeries(entry) {
+          safeCall('adding series', function() {
+            chart.series.add(entry.getConfig(true));
+            entry.rendered = true;
+          });
+        }
+
+        /**
+         * Get the live series for an entry. Changes made while the chart
+         * is still being created mark the entry stale so it is
+         * re-applied once the chart is attached.
+         */
+        function getRenderedSeries(entry) {
+          if (!chart) {
+            entry.stale = entry.rendered;
+            return null;
+          }
+          return entry.rendered ? getChartSeries(entry.id) : null;
+        }
+
+        /**
+         * Attach the rendered chart instance. Child series registered or
+         * changed after the initial configuration was built are applied now.
+         * @param {Object} instance - Chart instance
+         */
+        this.attachChart = function(instance) {
+          chart = instance;
+          ready.resolve(instance);
+          flushDirtyKeys();
+          pendingRemovals.forEach(function(id) {
+            var series = getChartSeries(id);
+            if (series) {
+              safeCall('removing series', function() {
+                series.remove();
+              });
+            }
+          });
+          pendingRemovals = [];
+          childSeries.forEach(function(entry) {
+            if (!entry.rendered) {
+              addSeries(entry);
+            } else if (entry.stale) {
+              var series = getChartSeries(entry.id);
+              if (series) {
+                safeCall('updating series', function() {
+                  series.options(entry.getConfig(true));
+                });
+              }
+            }
+            entry.stale = false;
+          });
+          self.emit('ready', instance);
+        };
+
+        /**
+         * Detach the chart instance (chart destroyed or re-created)
+         */
+        this.detachChart = function() {
+          var wasAttached = !!chart;
+
+          chart = null;
+          pendingRemovals = [];
+          childSeries.forEach(function(entry) {
+            entry.rendered = false;
+            entry.stale = false;
+          });
+
+          if (wasAttached) {
+            ready = $q.defer();
+            self.emit('destroy');
+          }
+        };
+
+        /**
+         * Get a promise resolved with the chart once it is loaded. When
+         * the chart is re-created, a new promise is returned for the new
+         * instance.
+         * @returns {Promise<Object>} Chart instance
+         */
+        this.whenReady = function() {
+          return ready.promise;
+        };
+
+        /**
+         * Get the loaded chart instance
+         * @returns {Object|null} Chart instance, or null while loading
+         */
+        this.getChart = function() {
+          return chart;
+        };
+
+        /**
+         * Apply options to the chart once it is loaded. Updates are not
+         * kept when the chart is re-created; use registerFragment() for
+         * configuration that must persist.
+         * @param {Object} partial - Chart options
+         * @returns {Promise<Object>} Chart instance, after the update
+         */
+        this.update = function(partial) {
+          return self.whenReady().then(function(instance) {
+            optionsHandler(partial);
+            return instance;
+          });
+        };
+
+        /**
+         * Register a configuration fragment. Fragments are merged into the
+         * chart configuration every time it is built, after jsc-options
+         * and the attribute bindings. Registering a key again replaces
+         * its fragment. Options only set by a removed fragment stay on the
+         * loaded chart until it is re-created.
+         * @param {string} key - Fragment key (e.g. the add-on name)
+         * @param {Object} configPart - Chart options
+         * @returns {Function} Function that unregisters the fragment
+         */
+        this.registerFragment = function(key, configPart) {
+          var previous = fragments[key];
+          var fragment = fragments[key] = angular.copy(configPart) || {};
+
+          markFragmentDirty([previous, fragment]);
+
+          return function() {
+            if (fragments[key] === fragment) {
+              delete fragments[key];
+              markFragmentDirty([fragment]);
+            }
+          };
+        };
+
+        /**
+         * Listen to chart lifecycle events:
+         *   - ready: Chart loaded (called with the chart)
+         *   - update: Options or series applied (called with the chart)
+         *   - destroy: Chart destroyed or about to be re-created
+         *   - error: Creating or updating the chart failed (called with a JscError)
+         *
+         * and to the chart, point, series, legend and axis tick events of
+         * the jsc-on-* attributes, named without the prefix (jsc-on-zoomed ->
+         * 'zoomed', jsc-on-point-click -> 'pointClick'). Their listeners are
+         * called with the attribute's locals, e.g. { event, point, chart }.
+         * @param {string} event - Event name
+         * @param {Function} fn - Listener
+         * @returns {Function} Function that removes the listener
+         */
+        this.on = function(event, fn) {
+          var eventListeners = listeners[event] = listeners[event] || [];
+          eventListeners.push(fn);
+
+          // Wire the chart event into the loaded chart for the first listener
+          if (EVENT_KEYS[event] && eventListeners.length === 1) {
+            markDirty(EVENT_KEYS[event]);
+          }
+
+          return function() {
+            var index = eventListeners.indexOf(fn);
+            if (index !== -1) {
+              eventListeners.splice(index, 1);
+            }
+          };
+        };
+
+        /**
+         * Check whether an event has listeners
+         * @param {string} event - Event name
+         * @returns {boolean}
+         */
+        this.hasListeners = function(event) {
+          return !!(listeners[event] && listeners[event].length);
+        };
+
+        /**
+         * Call the listeners of an event
+         * @param {string} event - Event name
+         * @param {*} [arg] - Listener argument
+         */
+        this.emit = function(event, arg) {
+          (listeners[event] || []).slice().forEach(function(fn) {
+            try {
+              fn(arg);
+            } catch (e) {
+              console.error('Error in jscChart ' + event + ' listener:', e);
+            }
+          });
+        };
+
+        /**
+         * Collect configuration of all child series, marking them as
+         * part of the configuration sent to the chart.
+         * @returns {Array} Series configurations
+         */
+        this.collectSeries = function() {
+          pendingRemovals = [];
+          return childSeries.map(function(entry) {
+            entry.rendered = true;
+            entry.stale = false;
+            return entry.getConfig(true);
+          });
+        };
+
+        /**
+         * Get the configuration of all child series without marking them
+         * as rendered
+         * @returns {Array} Series configurations
+         */
+        this.getSeriesConfigs = function() {
+          return childSeries.map(function(entry) {
+            return entry.getConfig(true);
+          });
+        };
+
+        /**
+         * Register a child series
+         * @param {Object} entry - Series entry ({ id, getConfig(includePoints) })
+         */
+        this.registerSeries = function(entry) {
+          childSeries.push(entry);
+          entry.rendered = false;
+
+          if (chart) {
+            addSeries(entry);
+          }
+        };
+
+        /**
+         * Unregister a child series and remove it from the chart
+         * @param {Object} entry - Series entry
+         */
+        this.unregisterSeries = function(entry) {
+          var index = childSeries.indexOf(entry);
+          if (index === -1) {
+            return;
+          }
+          childSeries.splice(index, 1);
+
+          if (!chart) {
+            // Already part of the config of a chart still being created
+            if (entry.rendered) {
+              pendingRemovals.push(entry.id);
+            }
+          } else {
+            var series = entry.rendered ? getChartSeries(entry.id) : null;
+            if (series) {
+              safeCall('removing series', function() {
+                series.remove();
+              });
+            }
+          }
+          entry.rendered = false;
+        };
+
+        /**
+         * Push updated series options to the chart
+         * @param {Object} entry - Series entry
+         * @param {boolean} [includePoints] - Also replace the series points
+         */
+        this.updateSeries = function(entry, includePoints) {
+          var series = getRenderedSeries(entry);
+          if (series) {
+            safeCall('updating series', function() {
+              series.options(entry.getConfig(includePoints));
+            });
+          }
+        };
+
+        /**
+         * Add a child point to a rendered series
+         * @param {Object} seriesEntry - Series entry
+         * @param {Object} pointEntry - Point entry ({ id, getConfig() })
+         */
+        this.addPoint = function(seriesEntry, pointEntry) {
+          var series = getRenderedSeries(seriesEntry);
+          if (series && series.points) {
+            safeCall('adding point', function() {
+              series.points.add(pointEntry.getConfig());
+            });
+          }
+        };
+
+        /**
+         * Push updated point options to the chart
+         * @param {Object} seriesEntry - Series entry
+         * @param {Object} pointEntry - Point entry
+         */
+        this.updatePoint = function(seriesEntry, pointEntry) {
+          var series = getRenderedSeries(seriesEntry);
+          var point = series && series.points ? series.points(pointEntry.id) : null;
+          if (point) {
+            safeCall('updating point', function() {
+              point.options(pointEntry.getConfig());
+            });
+          }
+        };
+
+        /**
+         * Remove a child point from the chart
+         * @param {Object} seriesEntry - Series entry
+         * @param {Object} pointEntry - Point entry
+         */
+        this.removePoint = function(seriesEntry, pointEntry) {
+          var series = getRenderedSeries(seriesEntry);
+          var point = series && series.points ? series.points(pointEntry.id) : null;
+          if (point) {
+            safeCall('removing point', function() {
+              point.remove();
+            });
+          }
+        };
+
+        /**
+         * Mark a config key as changed. The directive re-applies only that
+         * key once the chart is available.
+         */
+        function markDirty(key) {
+          dirtyKeys[key] = true;
+          if (chart) {
+            flushDirtyKeys();
+          }
+        }
+
+        /**
+         * Send changed config keys to the update handler
+         */
+        function flushDirtyKeys() {
+          var keys = Object.keys(dirtyKeys);
+          if (keys.length && updateHandler) {
+            dirtyKeys = {};
+            updateHandler(keys);
+          }
+        }
+
+        /**
+         * Mark the top-level keys set by fragments as changed, applying
+         * them in a single update
+         */
+        function markFragmentDirty(changed) {
+          changed.forEach(function(fragment) {
+            angular.forEach(fragment, function(value, key) {
+              dirtyKeys[key] = true;
+            });
+          });
+          if (chart) {
+            flushDirtyKeys();
+          }
+        }
+
+        /**
+         * Set the handler that applies changed config keys to the chart
+         * @param {Function} handler - Called with an array of config keys
+         */
+        this.setUpdateHandler = function(handler) {
+          updateHandler = handler;
+        };
+
+        /**
+         * Set the handler that applies options passed to update()
+         * @param {Function} handler - Called with chart options
+         */
+        this.setOptionsHandler = function(handler) {
+          optionsHandler = handler;
+        };
+
+        /**
+         * Register a child item (axis, annotation)
+         * @param {string} key - Config key (xAxis, yAxis, annotations)
+         * @param {Object} entry - Item entry ({ id, getConfig() })
+         */
+        this.registerItem = function(key, entry) {
+          childItems[key].push(entry);
+          markDirty(key);
+        };
+
+        /**
+         * Unregister a child item
+         * @param {string} key - Config key
+         * @param {Object} entry - Item entry
+         */
+        this.unregisterItem = function(key, entry) {
+          var index = childItems[key].indexOf(entry);
+          if (index !== -1) {
+            childItems[key].splice(index, 1);
+            markDirty(key);
+          }
+        };
+
+        /**
+         * Notify that a child item changed
+         * @param {string} key - Config key
+         */
+        this.itemChanged = function(key) {
+          markDirty(key);
+        };
+
+        /**
+         * Merge child items and fragments into a configuration object.
+         * Existing values for an item key (object or array) are kept first.
+         * @param {Object} config - Chart configuration
+         * @returns {Object} The configuration
+         */
+        this.applyItems = function(config) {
+          angular.forEach(childItems, function(entries, key) {
+            if (!entries.length) {
+              return;
+            }
+            var existing = config[key];
+            var items = angular.isArray(existing) ? existing : (existing ? [existing] : []);
+            config[key] = items.concat(entries.map(function(entry) {
+              return entry.getConfig();
+            }));
+          });
+          angular.forEach(fragments, function(fragment) {
+            angular.merge(config, angular.copy(fragment));
+          });
+          dirtyKeys = {};
+          return config;
+        };
+      }
+    ]);
+
+})(angular);
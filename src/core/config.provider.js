@@ -24,6 +24,23 @@
       // Default update debounce time in ms
       var updateDebounceTime = 100;
 
+      // Lazy chart creation (jsc-lazy)
+      var lazy = {
+        enabled: false,
+        rootMargin: '200px',
+        unloadMargin: null
+      };
+
+      // Response caching of the jscDataService fetch methods (jscDataCache)
+      var dataCache = {
+        enabled: false,
+        ttl: 5 * 60 * 1000,
+        storage: 'memory'
+      };
+
+      // Global error hooks
+      var errorHandlers = [];
+
       /**
        * Set default configuration that applies to all charts
        * @param {Object} config - Default configuration object
@@ -86,6 +103,47 @@
         return this;
       };
 
+      /**
+       * Set lazy chart creation for all charts. Lazy charts are created when
+       * they come within rootMargin of the viewport and, if unloadMargin is
+       * set, destroyed when they move beyond it.
+       * @param {boolean|Object} options - true/false, or { enabled, rootMargin, unloadMargin }
+       */
+      this.setLazy = function(options) {
+        if (angular.isObject(options)) {
+          lazy = angular.extend({}, lazy, { enabled: true }, options);
+        } else {
+          lazy.enabled = !!options;
+        }
+        return this;
+      };
+
+      /**
+       * Set response caching for the jscDataService fetch methods. Requests
+       * can override these settings with their cache option.
+       * @param {boolean|Object} options - true/false, or { enabled, ttl, storage };
+       *   ttl is in ms (Infinity to keep values until invalidated), storage is
+       *   'memory', 'localStorage' or 'indexedDB'
+       */
+      this.setDataCache = function(options) {
+        if (angular.isObject(options)) {
+          dataCache = angular.extend({}, dataCache, { enabled: true }, options);
+        } else {
+          dataCache.enabled = !!options;
+        }
+        return this;
+      };
+
+      /**
+       * Register a hook called with every JscError raised by charts, widgets
+       * and services (e.g. to report failures to an error tracker)
+       * @param {Function} handler - Called with the JscError
+       */
+      this.onError = function(handler) {
+        errorHandlers.push(handler);
+        return this;
+      };
+
       /**
        * Set default tooltip configuration
        * @param {Object} tooltip - Tooltip configuration
@@ -162,6 +220,30 @@
             return updateDebounceTime;
           },
 
+          /**
+           * Get lazy chart creation settings
+           * @returns {Object} { enabled, rootMargin, unloadMargin }
+           */
+          getLazy: function() {
+            return angular.copy(lazy);
+          },
+
+          /**
+           * Get response cache settings
+           * @returns {Object} { enabled, ttl, storage }
+           */
+          getDataCache: function() {
+            return angular.copy(dataCache);
+          },
+
+          /**
+           * Get the global error hooks
+           * @returns {Array<Function>} Registered handlers
+           */
+          getErrorHandlers: function() {
+            return errorHandlers.slice();
+          },
+
           /**
            * Merge defaults with provided configuration
            * @param {Object} config - Configuration to merge
@@ -0,0 +1,586 @@
+/**
+ * JSCharting AngularJS CSV Parser
+ *
+ * RFC 4180 CSV parser that does not depend on the JSCharting library, so CSV
+ * data can be loaded before JSCharting is present. Supports quoted fields
+ * (including delimiters, quotes and line breaks inside quotes), custom or
+ * detected delimiters, header detection and per-column type inference.
+ *
+ * parse() returns:
+ *   - rows: Objects keyed by field name, or arrays when there is no header
+ *   - fields: Field names, or null without a header
+ *   - delimiter: The delimiter used
+ *   - errors: Problems found, as { code, message, row, column } where row is
+ *     the 1-based line the record starts on and column the 1-based field
+ *
+ * createParser() parses text written in chunks and passes rows on as they
+ * complete; jscDataService.streamCsv() uses it to read large files.
+ *
+ * Error codes:
+ *   - UnclosedQuote: A quoted field is not closed before the end of the text
+ *   - InvalidQuote: A quote inside an unquoted field or after a closing quote
+ *   - FieldCount: A record has more or fewer fields than the header
+ *   - InvalidValue: A value does not match the type given in options.types, or
+ *     the type createParser() inferred from the sampled rows
+ *
+ * Usage:
+ *   var result = jscCsvParser.parse(text, { delimiter: ';', types: { date: 'date' } });
+ *   if (result.errors.length) {
+ *     console.warn(result.errors);
+ *   }
+ *   vm.rows = result.rows;
+ */
+(function(angular) {
+  'use strict';
+
+  // Constants are declared in the factory, which is also run in workers
+  var csvParser = ['JscError',
+    function(JscError) {
+
+      // Delimiters tried when none is given
+      var DELIMITERS = [',', ';', '\t', '|'];
+
+      var NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i;
+      var LEADING_ZERO = /^[+-]?0\d/;
+      var BOOLEAN = /^(?:true|false)$/i;
+
+      // ISO 8601 dates and date times, and M/D/YYYY dates with an optional time
+      var ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+      var ISO_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/;
+      var US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?(?: ?([AP]M))?)?$/i;
+
+      // Tokenizer states
+      var FIELD_START = 0;
+      var UNQUOTED = 1;
+      var QUOTED = 2;
+      var QUOTE_IN_QUOTED = 3;
+      var AFTER_QUOTE = 4;
+
+      /**
+       * Create a local date from its parts
+       * @returns {Date|null} The date, or null if a part is out of range
+       */
+      function createDate(year, month, day, hours, minutes, seconds) {
+        var date = new Date(year, month - 1, day, hours, minutes, seconds);
+
+        // Reject rolled over values such as February 30 or 25:00
+        if (date.getMonth() !== month - 1 || date.getDate() !== day || hours > 23 ||
+            minutes > 59 || seconds > 59) {
+          return null;
+        }
+        return date;
+      }
+
+      /**
+       * Parse a date value recognized by type inference
+       * @param {string} value - Trimmed value
+       * @returns {Date|null} The date, or null if the value is not a date
+       *   or the date does not exist (e.g. 2020-02-30 or 13/02/2020)
+       */
+      function parseDate(value) {
+        var match = ISO_DATE.exec(value);
+        if (match) {
+          // Date-only values are local dates, like M/D/YYYY values
+          return createDate(+match[1], +match[2], +match[3], 0, 0, 0);
+        }
+
+        match = ISO_DATE_TIME.exec(value);
+        if (match) {
+          // Date rolls over out of range parts, so check them first
+          if (!createDate(+match[1], +match[2], +match[3], +match[4], +match[5], +(match[6] || 0))) {
+            return null;
+          }
+          var date = new Date(value.replace(' ', 'T'));
+          return isNaN(date.getTime()) ? null : date;
+        }
+
+        match = US_DATE.exec(value);
+        if (match) {
+          var hours = +(match[4] || 0);
+          if (match[7]) {
+            if (hours < 1 || hours > 12) {
+              return null;
+            }
+            hours = hours % 12 + (match[7].toUpperCase() === 'PM' ? 12 : 0);
+          }
+          return createDate(+match[3], +match[1], +match[2], hours, +(match[5] || 0), +(match[6] || 0));
+        }
+
+        return null;
+      }
+
+      /**
+       * Check whether a value has the form of a date recognized by type
+       * inference (ISO 8601 or M/D/YYYY), whether or not the date exists
+       * @param {string} value - Value to check
+       * @returns {boolean}
+       */
+      function isDateForm(value) {
+        value = String(value).trim();
+        return ISO_DATE.test(value) || ISO_DATE_TIME.test(value) || US_DATE.test(value);
+      }
+
+      // Value converters by type; each returns undefined for invalid values
+      var converters = {
+        number: function(value) {
+          return NUMBER.test(value) ? Number(value) : undefined;
+        },
+        boolean: function(value) {
+          return BOOLEAN.test(value) ? value.toLowerCase() === 'true' : undefined;
+        },
+        date: function(value) {
+          var date = parseDate(value);
+          return date || undefined;
+        },
+        string: function(value) {
+          return value;
+        }
+      };
+
+      /**
+       * Convert a value to a type
+       * @param {*} value - Value to convert
+       * @param {string} type - 'number', 'boolean', 'date' or 'string'
+       * @returns {*} The converted value, or undefined if it is not valid for the type
+       */
+      function convert(value, type) {
+        if (!converters[type]) {
+          throw new JscError(JscError.INVALID_ARGUMENT, 'Unknown column type: ' + type);
+        }
+        return converters[type](String(value).trim());
+      }
+
+      /**
+       * Check whether a trimmed value can be inferred as a type. Numbers
+       * with leading zeros (ZIP codes, ids) are kept as strings.
+       */
+      function matchesType(value, type) {
+        return converters[type](value) !== undefined && !(type === 'number' && LEADING_ZERO.test(value));
+      }
+
+      /**
+       * Infer the type of a column from its values
+       * @param {Array<string>} values - Column values
+       * @returns {string} 'number', 'boolean', 'date' or 'string'
+       */
+      function inferType(values) {
+        var present = values.filter(function(value) {
+          return value !== undefined && value.trim() !== '';
+        });
+
+        if (!present.length) {
+          return 'string';
+        }
+
+        var types = ['number', 'boolean', 'date'];
+        for (var i = 0; i < types.length; i++) {
+          var type = types[i];
+          var matches = present.every(function(value) {
+            return matchesType(value.trim(), type);
+          });
+          if (matches) {
+            return types[i];
+          }
+        }
+        return 'string';
+      }
+
+      /**
+       * Detect the delimiter from the first record
+       * @param {string} text - CSV text
+       * @returns {string} The delimiter with the most occurrences outside quotes
+       */
+      function detectDelimiter(text) {
+        var counts = {};
+        var inQuotes = false;
+
+        for (var i = 0; i < text.length; i++) {
+          var c = text[i];
+          if (c === '"') {
+            inQuotes = !inQuotes;
+          } else if (!inQuotes && (c === '\n' || c === '\r')) {
+            break;
+          } else if (!inQuotes && DELIMITERS.indexOf(c) !== -1) {
+            counts[c] = (counts[c] || 0) + 1;
+          }
+        }
+
+        return DELIMITERS.reduce(function(best, delimiter) {
+          return (counts[delimiter] || 0) > (counts[best] || 0) ? delimiter : best;
+        }, DELIMITERS[0]);
+      }
+
+      /**
+       * Create an RFC 4180 tokenizer. Text can be written in chunks; records
+       * spanning chunks are emitted once complete.
+       *
+       * @param {string} delimiter - Field delimiter (a single character)
+       * @param {Function} onRecord - Called with (fields, row) for each record
+       * @param {Function} onError - Called with each error
+       * @returns {Object} Tokenizer with write(text) and end()
+       */
+      function createTokenizer(delimiter, onRecord, onError) {
+        var state = FIELD_START;
+        var field = '';
+        var record = [];
+        var line = 1;
+        var recordLine = 1;
+        var skipLineFeed = false;
+
+        function error(code, message) {
+          onError({ code: code, message: message, row: recordLine, column: record.length + 1 });
+        }
+
+        function endField() {
+          record.push(field);
+          field = '';
+          state = FIELD_START;
+        }
+
+        function endRecord() {
+          endField();
+          onRecord(record, recordLine);
+          record = [];
+          recordLine = line;
+        }
+
+        return {
+          write: function(text) {
+            for (var i = 0; i < text.length; i++) {
+              var c = text[i];
+
+              if (skipLineFeed) {
+                skipLineFeed = false;
+                if (c === '\n') {
+                  continue;
+                }
+              }
+
+              if (state === QUOTE_IN_QUOTED) {
+                // "" is an escaped quote; anything else closes the field
+                if (c === '"') {
+                  field += c;
+                  state = QUOTED;
+                  continue;
+                }
+                state = AFTER_QUOTE;
+              }
+
+              if (state === QUOTED) {
+                if (c === '"') {
+                  state = QUOTE_IN_QUOTED;
+                } else {
+                  field += c;
+                  if (c === '\n') {
+                    line++;
+                  }
+                }
+                continue;
+              }
+
+              if (c === delimiter) {
+                endField();
+              } else if (c === '\n' || c === '\r') {
+                line++;
+                skipLineFeed = c === '\r';
+                endRecord();
+              } else if (state === AFTER_QUOTE) {
+                error('InvalidQuote', 'Unexpected character after a closing quote');
+                field += c;
+                state = UNQUOTED;
+              } else if (c === '"' && state === FIELD_START) {
+                state = QUOTED;
+              } else {
+                if (c === '"') {
+                  error('InvalidQuote', 'Unexpected quote in an unquoted field');
+                }
+                field += c;
+                state = UNQUOTED;
+              }
+            }
+          },
+
+          end: function() {
+            if (state === QUOTED) {
+              error('UnclosedQuote', 'Quoted field is not closed');
+            }
+            if (state !== FIELD_START || record.length) {
+              endRecord();
+            }
+          }
+        };
+      }
+
+      /**
+       * Check whether the first record looks like a header: non-empty,
+       * unique values that are not numbers, booleans or dates
+       * @param {Array<string>} values - First record
+       * @returns {boolean}
+       */
+      function isHeader(values) {
+        return values.every(function(value, index) {
+          var trimmed = value.trim();
+          return trimmed !== '' &&
+            values.indexOf(value) === index &&
+            !NUMBER.test(trimmed) && !BOOLEAN.test(trimmed) && !isDateForm(trimmed);
+        });
+      }
+
+      /**
+       * Create an incremental parser. Text can be written in chunks, e.g.
+       * while a large file is read; rows are passed to onRows as soon as
+       * their records are complete.
+       *
+       * Column types are inferred from the first options.sampleSize rows;
+       * those rows are held back until the sample is complete. Later values
+       * that do not match an inferred type are reported as InvalidValue
+       * errors and set to null.
+       *
+       * @param {Object} [options] - Parse options (see parse)
+       * @param {number} [options.sampleSize=Infinity] - Rows used to infer column types
+       * @param {Function} onRows - Called with each batch of parsed rows
+       * @returns {Object} Parser with write(text) and end(); end() returns
+       *   { fields, delimiter, errors, rowCount }
+       */
+      function createParser(options, onRows) {
+        options = options || {};
+
+        var header = options.header === undefined ? 'auto' : options.header;
+        var types = options.types === undefined ? true : options.types;
+        var skipEmptyLines = options.skipEmptyLines !== false;
+        var sampleSize = options.sampleSize === undefined ? Infinity : options.sampleSize;
+
+        var delimiter = options.delimiter || null;
+        var tokenizer = null;
+        var pending = '';
+        var isFirstChunk = true;
+        var fields = angular.isArray(header) ? header : null;
+        var fieldCount = fields ? fields.length : null;
+        var columnTypes = null;
+        var sample = [];
+        var batch = [];
+        var errors = [];
+        var rowCount = 0;
+
+        function onError(error) {
+          errors.push(error);
+        }
+
+        /**
+         * Resolve the type of each column from the sampled records
+         */
+        function resolveTypes() {
+          columnTypes = [];
+
+          for (var i = 0; i < fieldCount; i++) {
+            var type = types === false ? 'string' : null;
+            if (angular.isObject(types)) {
+              type = types[fields ? fields[i] : i] || types[i] || null;
+            }
+            if (type && !converters[type]) {
+              throw new JscError(JscError.INVALID_ARGUMENT, 'Unknown column type: ' + type);
+            }
+            columnTypes.push({
+              type: type || inferType(sample.map(function(record) {
+                return record.values[i];
+              })),
+              explicit: !!type
+            });
+          }
+
+          sample.forEach(addRow);
+          sample = [];
+        }
+
+        /**
+         * Convert a record to a row and add it to the current batch
+         */
+        function addRow(record) {
+          var row = fields ? {} : [];
+
+          columnTypes.forEach(function(column, index) {
+            var value = record.values[index];
+            var converted = value === undefined ? null : value;
+
+            if (column.type !== 'string' && converted !== null) {
+              var trimmed = value.trim();
+              converted = trimmed === '' ? null : converters[column.type](trimmed);
+
+              // Values after the sample can differ from the inferred type
+              if (converted !== null && !column.explicit && !matchesType(trimmed, column.type)) {
+                converted = undefined;
+              }
+
+              if (converted === undefined) {
+                onError({
+                  code: 'InvalidValue',
+                  message: 'Invalid ' + column.type + ' "' + value + '"' +
+                    (column.explicit ? '' : ' (type inferred from the first ' + sampleSize + ' rows)'),
+                  row: record.row,
+                  column: index + 1
+                });
+                converted = null;
+              }
+            }
+
+            row[fields ? fields[index] : index] = converted;
+          });
+
+          rowCount++;
+          batch.push(row);
+        }
+
+        function onRecord(values, row) {
+          if (skipEmptyLines && values.length === 1 && values[0] === '') {
+            return;
+          }
+
+          if (fieldCount === null) {
+            if (header === true || (header === 'auto' && isHeader(values))) {
+              fields = values.map(function(value) {
+                return value.trim();
+              });
+              fieldCount = fields.length;
+              return;
+            }
+            fieldCount = values.length;
+          }
+
+          if (values.length !== fieldCount) {
+            onError({
+              code: 'FieldCount',
+              message: 'Expected ' + fieldCount + ' fields but found ' + values.length,
+              row: row,
+              column: Math.min(values.length, fieldCount) + 1
+            });
+          }
+
+          var record = { values: values, row: row };
+          if (columnTypes) {
+            addRow(record);
+          } else {
+            sample.push(record);
+            if (sample.length >= sampleSize) {
+              resolveTypes();
+            }
+          }
+        }
+
+        /**
+         * Pass the rows parsed so far to onRows
+         */
+        function flush() {
+          if (batch.length) {
+            var rows = batch;
+            batch = [];
+            onRows(rows);
+          }
+        }
+
+        /**
+         * Write text to the tokenizer, detecting the delimiter from the
+         * first line once it is complete
+         */
+        function tokenize(text, isLast) {
+          if (!tokenizer) {
+            pending += text;
+            if (!delimiter && !isLast && !/[\r\n]/.test(pending)) {
+              return;
+            }
+            text = pending;
+            pending = '';
+            tokenizer = createTokenizer(delimiter || (delimiter = detectDelimiter(text)), onRecord, onError);
+          }
+          tokenizer.write(text);
+        }
+
+        return {
+          write: function(text) {
+            text = text === undefined || text === null ? '' : String(text);
+
+            // Strip the byte order mark
+            if (isFirstChunk && text) {
+              isFirstChunk = false;
+              if (text.charCodeAt(0) === 0xFEFF) {
+                text = text.slice(1);
+              }
+            }
+
+            tokenize(text, false);
+            flush();
+          },
+
+          end: function() {
+            tokenize('', true);
+            tokenizer.end();
+
+            if (!columnTypes) {
+              fieldCount = fieldCount || 0;
+              resolveTypes();
+            }
+            flush();
+
+            return {
+              fields: fields,
+              delimiter: delimiter,
+              errors: errors,
+              rowCount: rowCount
+            };
+          }
+        };
+      }
+
+      /**
+       * Parse CSV text
+       *
+       * @param {string} text - CSV text
+       * @param {Object} [options]
+       * @param {string} [options.delimiter] - Field delimiter; detected from the first record by default
+       * @param {boolean|string|Array<string>} [options.header='auto'] - Whether the first record holds
+       *   field names, 'auto' to detect it, or an array of field names
+       * @param {boolean|Object} [options.types=true] - Convert values to numbers, booleans and dates:
+       *   true to infer the type of each column, false to keep strings, or an object of field names
+       *   (or column indexes) to 'number', 'boolean', 'date' or 'string'; other columns are inferred
+       * @param {boolean} [options.skipEmptyLines=true] - Ignore empty lines
+       * @returns {Object} Result with rows, fields, delimiter and errors
+       */
+      function parse(text, options) {
+        var rows = [];
+        var parser = createParser(angular.extend({}, options, { sampleSize: Infinity }), function(batch) {
+          Array.prototype.push.apply(rows, batch);
+        });
+
+        parser.write(text);
+        var result = parser.end();
+
+        result.errors.sort(function(a, b) {
+          return a.row - b.row || a.column - b.column;
+        });
+
+        return {
+          rows: rows,
+          fields: result.fields,
+          delimiter: result.delimiter,
+          errors: result.errors
+        };
+      }
+
+      return {
+        parse: parse,
+        createParser: createParser,
+        detectDelimiter: detectDelimiter,
+        inferType: inferType,
+        convert: convert,
+        isDateForm: isDateForm,
+        createTokenizer: createTokenizer
+      };
+    }];
+
+  // Registered with jscWorkerProvider so CSV text can be parsed in a worker
+  angular.module('jsc.angular.core')
+    .factory('jscCsvParser', csvParser)
+    .config(['jscWorkerProvider', function(jscWorkerProvider) {
+      jscWorkerProvider.register('jscCsvParser', csvParser);
+    }]);
+
+})(angular);
@@ -0,0 +1,357 @@
+/**
+ * JSCharting AngularJS Data Cache Service
+ *
+ * Caches responses of the jscDataService fetch methods. Concurrent requests
+ * for the same key share one request; with caching enabled (globally with
+ * jscConfigProvider.setDataCache() or with the cache option of a request)
+ * responses are kept for a TTL in memory and, optionally, in localStorage
+ * or IndexedDB so they survive page reloads.
+ *
+ * Usage:
+ *   angular.module('myApp')
+ *     .config(function(jscConfigProvider) {
+ *       jscConfigProvider.setDataCache({ enabled: true, ttl: 10 * 60 * 1000, storage: 'indexedDB' });
+ *     });
+ *
+ *   jscDataService.loadCsv('/api/sales.csv', { cache: { ttl: 60000 } });
+ *   jscDataService.cache.invalidate('/api/sales.csv');
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .factory('jscDataCache', ['$q', '$window', 'jscConfig', function($q, $window, jscConfig) {
+
+      // Prefix of localStorage keys
+      var STORAGE_PREFIX = 'jsc-data-cache:';
+
+      // IndexedDB database and object store
+      var DB_NAME = 'jsc-data-cache';
+      var DB_STORE = 'entries';
+
+      // Entries cached in memory, in front of the persistent storage
+      var memory = {};
+
+      // Requests in progress, by key
+      var pending = {};
+
+      // Persistent storage backends that have been used, by name
+      var backends = {};
+
+      /**
+       * Run a synchronous storage call as a promise
+       */
+      function attempt(fn) {
+        return $q(function(resolve) {
+          resolve(fn());
+        });
+      }
+
+      /**
+       * Create a backend storing entries as JSON in localStorage
+       */
+      function createLocalStorageBackend() {
+        var storage = $window.localStorage;
+
+        return {
+          get: function(key) {
+            return attempt(function() {
+              var text = storage.getItem(STORAGE_PREFIX + key);
+              return text ? JSON.parse(text) : undefined;
+            });
+          },
+          set: function(key, entry) {
+            return attempt(function() {
+              storage.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+            });
+          },
+          remove: function(key) {
+            return attempt(function() {
+              storage.removeItem(STORAGE_PREFIX + key);
+            });
+          },
+          keys: function() {
+            return attempt(function() {
+              var keys = [];
+              for (var i = 0; i < storage.length; i++) {
+                var name = storage.key(i);
+                if (name && name.indexOf(STORAGE_PREFIX) === 0) {
+                  keys.push(name.slice(STORAGE_PREFIX.length));
+                }
+              }
+              return keys;
+            });
+          }
+        };
+      }
+
+      /**
+       * Create a backend storing entries in an IndexedDB object store
+       */
+      function createIndexedDbBackend() {
+        var database = null;
+
+        function open() {
+          if (!database) {
+            database = $q(function(resolve, reject) {
+              var request = $window.indexedDB.open(DB_NAME, 1);
+              request.onupgradeneeded = function() {
+                request.result.createObjectStore(DB_STORE);
+              };
+              request.onsuccess = function() {
+                resolve(request.result);
+              };
+              request.onerror = function() {
+                reject(request.error);
+              };
+            });
+          }
+          return database;
+        }
+
+        function run(mode, action) {
+          return open().then(function(db) {
+            return $q(function(resolve, reject) {
+              var request = action(db.transaction(DB_STORE, mode).objectStore(DB_STORE));
+              request.onsuccess = function() {
+                resolve(request.result);
+              };
+              request.onerror = function() {
+                reject(request.error);
+              };
+            });
+          });
+        }
+
+        return {
+          get: function(key) {
+            return run('readonly', function(store) {
+              return store.get(key);
+            });
+          },
+          set: function(key, entry) {
+            return run('readwrite', function(store) {
+              return store.put(entry, key);
+            });
+          },
+          remove: function(key) {
+            return run('readwrite', function(store) {
+              return store.delete(key);
+            });
+          },
+          keys: function() {
+            return run('readonly', function(store) {
+              return store.getAllKeys();
+            });
+          }
+        };
+      }
+
+      /**
+       * Get a persistent storage backend
+       * @param {string} storage - 'memory', 'localStorage' or 'indexedDB'
+       * @returns {Object|null} The backend, or null for memory or when unavailable
+       */
+      function getBackend(storage) {
+        if (!storage || storage === 'memory') {
+          return null;
+        }
+        if (backends[storage] !== undefined) {
+          return backends[storage];
+        }
+
+        var backend = null;
+        try {
+          if (storage === 'localStorage' && $window.localStorage) {
+            backend = createLocalStorageBackend();
+          } else if (storage === 'indexedDB' && $window.indexedDB) {
+            backend = createIndexedDbBackend();
+          } else {
+            console.warn('Data cache storage "' + storage + '" is not available, caching in memory');
+          }
+        } catch (e) {
+          // localStorage access throws when storage is disabled
+          console.warn('Data cache storage "' + storage + '" is not available, caching in memory:', e);
+        }
+
+        backends[storage] = backend;
+        return backend;
+      }
+
+      /**
+       * Resolve the cache settings of a request
+       * @param {boolean|Object} [options] - Request cache option
+       * @returns {Object} { enabled, ttl, storage, key, refresh }
+       */
+      function getSettings(options) {
+        var settings = jscConfig.getDataCache();
+        if (options === true) {
+          settings.enabled = true;
+        } else if (angular.isObject(options)) {
+          angular.extend(settings, { enabled: true }, options);
+        }
+        return settings;
+      }
+
+      function isFresh(entry) {
+        return !!entry && (entry.expires === null || entry.expires > Date.now());
+      }
+
+      /**
+       * Read a fresh entry from memory or the persistent storage
+       */
+      function read(key, storage) {
+        if (isFresh(memory[key])) {
+          return $q.when(memory[key]);
+        }
+        delete memory[key];
+
+        var backend = getBackend(storage);
+        if (!backend) {
+          return $q.when(undefined);
+        }
+
+        return backend.get(key).then(function(entry) {
+          if (isFresh(entry)) {
+            memory[key] = entry;
+            return entry;
+          }
+          if (entry) {
+            backend.remove(key);
+          }
+        }).catch(function(error) {
+          console.warn('Error reading data cache:', error);
+        });
+      }
+
+      /**
+       * Store a value in memory and the persistent storage
+       */
+      function write(key, value, settings) {
+        var entry = {
+          value: value,
+          expires: settings.ttl === Infinity ? null : Date.now() + settings.ttl
+        };
+        memory[key] = entry;
+
+        var backend = getBackend(settings.storage);
+        if (backend) {
+          backend.set(key, entry).catch(function(error) {
+            console.warn('Error writing data cache:', error);
+          });
+        }
+      }
+
+      /**
+       * Check whether a key matches an invalidate() argument
+       */
+      function matches(match, key) {
+        if (match === undefined || match === null) {
+          return true;
+        }
+        if (angular.isFunction(match)) {
+          return !!match(key);
+        }
+        if (Object.prototype.toString.call(match) === '[object RegExp]') {
+          return match.test(key);
+        }
+        return key === match;
+      }
+
+      /**
+       * Load a value through the cache
+       *
+       * Requests for a key that is already being loaded share that request.
+       * When caching is enabled, fresh cached values are returned without
+       * calling the loader and loaded values are cached. Failures are not
+       * cached.
+       *
+       * @param {string} key - Cache key, e.g. the URL
+       * @param {Function} loader - Returns the value or a promise of it
+       * @param {boolean|Object} [options] - false to bypass the cache, true to
+       *   cache with the global settings, or { ttl, storage, key, refresh }
+       *   (refresh loads again and replaces the cached value)
+       * @returns {Promise} The value
+       */
+      function load(key, loader, options) {
+        if (options === false) {
+          return $q.when(loader());
+        }
+
+        var settings = getSettings(options);
+        key = settings.key || key;
+
+        if (pending[key]) {
+          return pending[key];
+        }
+
+        var lookup = settings.enabled && !settings.refresh ? read(key, settings.storage) : $q.when(undefined);
+
+        var promise = lookup.then(function(entry) {
+          if (entry) {
+            return entry.value;
+          }
+          return $q.when(loader()).then(function(value) {
+            if (settings.enabled) {
+              write(key, value, settings);
+            }
+            return value;
+          });
+        }).finally(function() {
+          if (pending[key] === promise) {
+            delete pending[key];
+          }
+        });
+
+        pending[key] = promise;
+        return promise;
+      }
+
+      /**
+       * Remove cached values from memory and the persistent storage
+       * @param {string|RegExp|Function} [match] - Key, key pattern or
+       *   function(key); all values when omitted
+       * @returns {Promise} Resolves when the values are removed
+       */
+      function invalidate(match) {
+        Object.keys(memory).forEach(function(key) {
+          if (matches(match, key)) {
+            delete memory[key];
+          }
+        });
+
+        getBackend(jscConfig.getDataCache().storage);
+
+        var removals = Object.keys(backends).filter(function(name) {
+          return backends[name];
+        }).map(function(name) {
+          var backend = backends[name];
+          return backend.keys().then(function(keys) {
+            return $q.all(keys.filter(function(key) {
+              return matches(match, key);
+            }).map(function(key) {
+              return backend.remove(key);
+            }));
+          }).catch(function(error) {
+            console.warn('Error clearing data cache:', error);
+          });
+        });
+
+        return $q.all(removals).then(angular.noop);
+      }
+
+      return {
+        load: load,
+        invalidate: invalidate,
+
+        /**
+         * Remove all cached values
+         * @returns {Promise} Resolves when the values are removed
+         */
+        clear: function() {
+          return invalidate();
+        }
+      };
+    }]);
+
+})(angular);
@@ -0,0 +1,466 @@
+/**
+ * JSCharting AngularJS Data Pipeline Service
+ *
+ * Chainable data transformations that do not depend on the JSCharting
+ * library. Each step returns a new pipeline, so a pipeline can be defined
+ * once, extended and run against different data (e.g. for a chart and a
+ * grid).
+ *
+ * Usage:
+ *   var bySales = jscDataService.pipeline()
+ *     .filter(function(row) { return row.year === 2024; })
+ *     .derive('net', function(row) { return row.sales - row.returns; })
+ *     .groupBy('region')
+ *     .rollup({ total: { property: 'net', calculation: 'sum' }, orders: 'count' })
+ *     .sort('total', true)
+ *     .topN(5, 'Others');
+ *
+ *   vm.series = bySales.toSeries({ x: 'region', y: 'total' }, { name: 'Net sales' }, rows);
+ *   vm.gridData = bySales.run(rows);
+ */
+(function(angular) {
+  'use strict';
+
+  var dataPipeline = ['JscError',
+    function(JscError) {
+
+      /**
+       * Get the numeric values of a property
+       */
+      function numbers(rows, property) {
+        return rows.map(function(row) {
+          return row[property];
+        }).filter(function(value) {
+          return typeof value === 'number' && !isNaN(value);
+        });
+      }
+
+      function sum(values) {
+        return values.reduce(function(a, b) {
+          return a + b;
+        }, 0);
+      }
+
+      // Rollup calculations; each is called with (rows, property)
+      var calculations = {
+        sum: function(rows, property) {
+          return sum(numbers(rows, property));
+        },
+        mean: function(rows, property) {
+          var values = numbers(rows, property);
+          return values.length ? sum(values) / values.length : null;
+        },
+        median: function(rows, property) {
+          var values = numbers(rows, property).sort(function(a, b) {
+            return a - b;
+          });
+          var middle = Math.floor(values.length / 2);
+          if (!values.length) {
+            return null;
+          }
+          return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+        },
+        min: function(rows, property) {
+          var values = numbers(rows, property);
+          return values.length ? Math.min.apply(Math, values) : null;
+        },
+        max: function(rows, property) {
+          var values = numbers(rows, property);
+          return values.length ? Math.max.apply(Math, values) : null;
+        },
+        count: function(rows) {
+          return rows.length;
+        },
+        distinct: function(rows, property) {
+          var seen = {};
+          return rows.filter(function(row) {
+            var key = typeof row[property] + row[property];
+            return seen[key] ? false : (seen[key] = true);
+          }).length;
+        },
+        first: function(rows, property) {
+          return rows.length ? rows[0][property] : null;
+        },
+        last: function(rows, property) {
+          return rows.length ? rows[rows.length - 1][property] : null;
+        }
+      };
+      calculations.avg = calculations.average = calculations.mean;
+
+      /**
+       * Compile a rollup specification. Each entry is a calculation name
+       * ('count'), { property, calculation } or a function(rows).
+       *
+       * @param {Object} spec - Output field to rollup definition
+       * @returns {Function} Called with rows; returns the aggregated fields
+       */
+      function compileRollup(spec) {
+        var fields = Object.keys(spec).map(function(name) {
+          var definition = spec[name];
+
+          if (angular.isFunction(definition)) {
+            return { name: name, calculate: definition };
+          }
+
+          definition = angular.isString(definition) ? { calculation: definition } : definition;
+          var calculate = calculations[definition.calculation];
+          if (!calculate) {
+            throw new JscError(JscError.INVALID_ARGUMENT,
+              'Unknown rollup calculation: ' + definition.calculation);
+          }
+
+          return {
+            name: name,
+            calculate: function(rows) {
+              return calculate(rows, definition.property);
+            }
+          };
+        });
+
+        return function(rows) {
+          var result = {};
+          fields.forEach(function(field) {
+            result[field.name] = field.calculate(rows);
+          });
+          return result;
+        };
+      }
+
+      /**
+       * Normalize groupBy keys to { name, get } pairs
+       */
+      function compileKeys(keys) {
+        var compiled = [];
+
+        keys.forEach(function(key) {
+          if (angular.isString(key)) {
+            compiled.push({
+              name: key,
+              get: function(row) {
+                return row[key];
+              }
+            });
+          } else {
+            angular.forEach(key, function(get, name) {
+              compiled.push({ name: name, get: get });
+            });
+          }
+        });
+
+        return compiled;
+      }
+
+      /**
+       * Compare two values, ordering null and undefined last
+       */
+      function compare(a, b) {
+        if (a === b) {
+          return 0;
+        }
+        if (a === null || a === undefined) {
+          return 1;
+        }
+        if (b === null || b === undefined) {
+          return -1;
+        }
+        return a < b ? -1 : a > b ? 1 : 0;
+      }
+
+      /**
+       * Data pipeline
+       *
+       * While running, each grouped item holds its row and the rows it was
+       * grouped from, so rollups and topN() others rows are calculated from
+       * the grouped rows rather than from aggregated values.
+       *
+       * @constructor
+       * @param {Array} [data] - Default data for run()
+       * @param {Array} [steps] - Transformation steps
+       */
+      function DataPipeline(data, steps) {
+        this.data = data;
+        this.steps = steps || [];
+      }
+
+      DataPipeline.prototype = {
+        /**
+         * Add a step, returning a new pipeline
+         * @param {Function} step - Called with the run state
+         * @returns {DataPipeline}
+         */
+        addStep: function(step) {
+          return new DataPipeline(this.data, this.steps.concat([step]));
+        },
+
+        /**
+         * Keep rows matching a predicate, or whose fields equal the given values
+         * @param {Function|Object} predicate - function(row, index), or { field: value }
+         * @returns {DataPipeline}
+         */
+        filter: function(predicate) {
+          var test = angular.isFunction(predicate) ? predicate : function(row) {
+            return Object.keys(predicate).every(function(key) {
+              return angular.equals(row[key], predicate[key]);
+            });
+          };
+
+          return this.addStep(function(state) {
+            state.items = state.items.filter(function(item, index) {
+              return test(item.row, index);
+            });
+          });
+        },
+
+        /**
+         * Add calculated fields. Rows are copied, the source data is not modified.
+         * @param {string|Object} name - Field name, or an object of field names to functions
+         * @param {Function} [fn] - function(row, index) returning the value
+         * @returns {DataPipeline}
+         */
+        derive: function(name, fn) {
+          var fields = {};
+          if (angular.isString(name)) {
+            fields[name] = fn;
+          } else {
+            fields = name;
+          }
+
+          return this.addStep(function(state) {
+            state.items.forEach(function(item, index) {
+              var row = angular.extend({}, item.row);
+              angular.forEach(fields, function(get, field) {
+                row[field] = get(item.row, index);
+              });
+              item.row = row;
+            });
+          });
+        },
+
+        /**
+         * Group rows by one or more keys. Follow with rollup() to aggregate
+         * each group; until then each group row holds the key fields.
+         * @param {...(string|Object)} keys - Field names, or objects of key names to function(row)
+         * @returns {DataPipeline}
+         */
+        groupBy: function() {
+          var keys = compileKeys(Array.prototype.slice.call(arguments));
+
+          return this.addStep(function(state) {
+            var groups = [];
+            var index = {};
+
+            state.items.forEach(function(item) {
+              var values = keys.map(function(key) {
+                return key.get(item.row);
+              });
+              var id = angular.toJson(values);
+
+              if (!index[id]) {
+                var row = {};
+                keys.forEach(function(key, i) {
+                  row[key.name] = values[i];
+                });
+                index[id] = { row: row, source: [] };
+                groups.push(index[id]);
+              }
+              index[id].source.push(item.row);
+            });
+
+            state.items = groups;
+            state.keys = keys.map(function(key) {
+              return key.name;
+            });
+            state.aggregate = null;
+          });
+        },
+
+        /**
+         * Aggregate each group, or all rows without groupBy(), into one row
+         *
+         * Each entry is a calculation name ('count'), { property, calculation }
+         * or a function(rows). Calculations: sum, mean (avg, average), median,
+         * min, max, count, distinct, first and last.
+         *
+         * @param {Object} spec - Output field to rollup definition
+         * @returns {DataPipeline}
+         */
+        rollup: function(spec) {
+          var aggregate = compileRollup(spec);
+
+          return this.addStep(function(state) {
+            if (!state.keys) {
+              state.items = [{
+                row: {},
+                source: state.items.map(function(item) {
+                  return item.row;
+                })
+              }];
+              state.keys = [];
+            }
+
+            state.items.forEach(function(item) {
+              item.row = angular.extend({}, item.row, aggregate(item.source));
+            });
+            state.aggregate = aggregate;
+          });
+        },
+
+        /**
+         * Sort rows
+         * @param {string|Function} field - Field name, or a comparator function(a, b)
+         * @param {boolean} [descending] - Sort descending
+         * @returns {DataPipeline}
+         */
+        sort: function(field, descending) {
+          var comparator = angular.isFunction(field) ? field : function(a, b) {
+            return compare(a[field], b[field]);
+          };
+
+          return this.addStep(function(state) {
+            state.items = state.items.slice().sort(function(a, b) {
+              var result = comparator(a.row, b.row);
+              return descending ? -result : result;
+            });
+          });
+        },
+
+        /**
+         * Keep the first n rows, optionally combining the rest into one row
+         *
+         * After rollup(), the others row is aggregated from the grouped rows
+         * of the remaining groups and its key fields are set to the label.
+         * Otherwise numeric fields are summed and other fields set to the label.
+         *
+         * @param {number} n - Rows to keep
+         * @param {string} [othersLabel] - Label of a row combining the remaining rows
+         * @returns {DataPipeline}
+         */
+        topN: function(n, othersLabel) {
+          return this.addStep(function(state) {
+            var rest = state.items.slice(n);
+            state.items = state.items.slice(0, n);
+
+            if (othersLabel === undefined || !rest.length) {
+              return;
+            }
+
+            var row = {};
+            var source = [];
+
+            if (state.aggregate) {
+              rest.forEach(function(item) {
+                Array.prototype.push.apply(source, item.source);
+              });
+              state.keys.forEach(function(key) {
+                row[key] = othersLabel;
+              });
+              angular.extend(row, state.aggregate(source));
+            } else {
+              rest.forEach(function(item) {
+                angular.forEach(item.row, function(value, field) {
+                  if (typeof value === 'number') {
+                    row[field] = (typeof row[field] === 'number' ? row[field] : 0) + value;
+                  } else if (typeof row[field] !== 'number') {
+                    row[field] = othersLabel;
+                  }
+                });
+              });
+            }
+
+            state.items.push({ row: row, source: source });
+          });
+        },
+
+        /**
+         * Run the pipeline
+         * @param {Array} [data] - Data to transform; defaults to the pipeline data
+         * @returns {Array} Transformed rows
+         */
+        run: function(data) {
+          data = data === undefined ? this.data : data;
+          if (!angular.isArray(data)) {
+            throw new JscError(JscError.INVALID_ARGUMENT, 'Pipeline data is not an array');
+          }
+
+          var state = {
+            items: data.map(function(row) {
+              return { row: row, source: null };
+            }),
+            keys: null,
+            aggregate: null
+          };
+
+          this.steps.forEach(function(step) {
+            step(state);
+          });
+
+          return state.items.map(function(item) {
+            return item.row;
+          });
+        },
+
+        /**
+         * Run the pipeline and group the rows into series
+         *
+         * Each mapping key except series is a point property and its value
+         * the row field to read, e.g. { x: 'month', y: 'total', series: 'region' }.
+         * Without a series field all points are in one series.
+         *
+         * @param {Object} mapping - Point property to field mapping
+         * @param {Object} [seriesDefaults] - Default series options
+         * @param {Array} [data] - Data to transform; defaults to the pipeline data
+         * @returns {Array} Series
+         */
+        toSeries: function(mapping, seriesDefaults, data) {
+          var groups = {};
+          var names = [];
+
+          this.run(data).forEach(function(row) {
+            var name = mapping.series ? String(row[mapping.series]) : '';
+            var point = {};
+
+            angular.forEach(mapping, function(field, property) {
+              if (property !== 'series') {
+                point[property] = row[field];
+              }
+            });
+
+            if (!groups[name]) {
+              groups[name] = [];
+              names.push(name);
+            }
+            groups[name].push(point);
+          });
+
+          return names.map(function(name) {
+            var series = angular.extend({}, seriesDefaults, { points: groups[name] });
+            if (mapping.series) {
+              series.name = name;
+            }
+            return series;
+          });
+        }
+      };
+
+      return {
+        /**
+         * Create a pipeline
+         * @param {Array} [data] - Default data for run() and toSeries()
+         * @returns {DataPipeline}
+         */
+        create: function(data) {
+          return new DataPipeline(data);
+        },
+
+        calculations: calculations
+      };
+    }];
+
+  // Pipelines can also run off the main thread in jscDataService.worker()
+  angular.module('jsc.angular.core')
+    .factory('jscDataPipeline', dataPipeline)
+    .config(['jscWorkerProvider', function(jscWorkerProvider) {
+      jscWorkerProvider.register('jscDataPipeline', dataPipeline);
+    }]);
+
+})(angular);
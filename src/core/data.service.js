@@ -8,7 +8,38 @@
   'use strict';
 
   angular.module('jsc.angular.core')
-    .factory('jscDataService', ['$q', '$http', function($q, $http) {
+    .factory('jscDataService', ['$q', '$http', '$window', '$parse', 'jscCsvParser', 'jscDataPipeline', 'jscTimeSeries',
+      'jscStatistics', 'jscDataCache', 'jscWorker', 'jscErrors', 'JscError',
+      function($q, $http, $window, $parse, jscCsvParser, jscDataPipeline, jscTimeSeries, jscStatistics,
+        jscDataCache, jscWorker, jscErrors, JscError) {
+
+      // Default Blob chunk size for streamCsv(), in bytes
+      var STREAM_CHUNK_SIZE = 1024 * 1024;
+
+      // Rows used to infer column types in streamCsv()
+      var STREAM_SAMPLE_SIZE = 1000;
+
+      // Pipeline steps available in worker pipelines
+      var PIPELINE_STEPS = ['filter', 'derive', 'groupBy', 'rollup', 'sort', 'topN'];
+
+      // jscStatistics methods available in workers
+      var STATISTICS_METHODS = ['regression', 'percentile', 'quartiles', 'histogram', 'boxWhisker', 'boxWhiskerPoints'];
+
+      // Date format tokens of validate() schemas
+      var DATE_TOKENS = {
+        YYYY: '(\\d{4})',
+        MM: '(\\d{2})',
+        M: '(\\d{1,2})',
+        DD: '(\\d{2})',
+        D: '(\\d{1,2})',
+        HH: '(\\d{2})',
+        H: '(\\d{1,2})',
+        mm: '(\\d{2})',
+        ss: '(\\d{2})'
+      };
+
+      // Compiled date formats
+      var dateFormats = {};
 
       /**
        * Check if JSC is available
@@ -17,6 +48,540 @@
         return typeof JSC !== 'undefined';
       }
 
+      /**
+       * Check whether response text holds JSON rather than CSV
+       */
+      function isJson(text, contentType) {
+        return /json/i.test(contentType || '') || /^\s*[\[{]/.test(text);
+      }
+
+      /**
+       * Request a URL as text through jscDataCache and parse the response.
+       * Failures that are not already a JscError are reported as
+       * DATA_LOAD_FAILED.
+       *
+       * @param {string} url - URL to fetch
+       * @param {Function} parse - Called with the response { data, contentType }; returns the data
+       * @param {boolean|Object} [cache] - Cache option (see jscDataCache.load)
+       * @returns {Promise} Parsed data
+       */
+      function request(url, parse, cache) {
+        return jscDataCache.load(url, function() {
+          return $http.get(url, {
+            // Keep the raw text; it is parsed by the caller
+            transformResponse: function(data) {
+              return data;
+            }
+          }).then(function(response) {
+            return { data: response.data, contentType: response.headers('Content-Type') };
+          });
+        }, cache).then(parse).catch(function(error) {
+          if (jscErrors.isJscError(error)) {
+            throw error;
+          }
+          var message = 'Error loading data from ' + url;
+          if (error && error.status !== undefined) {
+            message += ' (' + error.status + (error.statusText ? ' ' + error.statusText : '') + ')';
+          }
+          throw jscErrors.report(JscError.DATA_LOAD_FAILED, message, error);
+        });
+      }
+
+      /**
+       * Parse CSV text with the built-in parser, warning about parse errors
+       * or rejecting them in strict mode
+       *
+       * @param {string} text - CSV text
+       * @param {string} source - Source of the text, used in messages
+       * @param {Object} [options] - Parser options (see jscCsvParser)
+       * @returns {Array} Rows
+       */
+      function parseCsvText(text, source, options) {
+        options = options || {};
+        var result = jscCsvParser.parse(text, options);
+
+        checkErrors(result.errors, 'CSV', source, options);
+        return result.rows;
+      }
+
+      /**
+       * Warn about parse errors, or throw them in strict mode
+       *
+       * @param {Array} errors - Parse errors ({ code, message, row, column })
+       * @param {string} format - Data format, used in messages
+       * @param {string} source - Source of the text, used in messages
+       * @param {Object} options - Parser options
+       */
+      function checkErrors(errors, format, source, options) {
+        if (!errors.length) {
+          return;
+        }
+
+        var message = 'Invalid ' + format + ' in ' + source + ': row ' + errors[0].row +
+          ', column ' + errors[0].column + ': ' + errors[0].message +
+          (errors.length > 1 ? ' (and ' + (errors.length - 1) + ' more)' : '');
+
+        if (options.strict) {
+          throw jscErrors.report(JscError.DATA_LOAD_FAILED, message, errors);
+        }
+        console.warn(message, errors);
+      }
+
+      /**
+       * Convert a JSON value to a field type
+       * @param {*} value - Value to convert
+       * @param {string} type - 'number', 'boolean', 'date' or 'string'
+       * @returns {*} The converted value, or undefined if it is not valid for the type
+       */
+      function convertValue(value, type) {
+        if (type === 'string') {
+          return String(value);
+        }
+        if (type === 'number' && typeof value === 'number') {
+          return value;
+        }
+        if (type === 'boolean' && typeof value === 'boolean') {
+          return value;
+        }
+        if (type === 'date') {
+          if (angular.isDate(value)) {
+            return value;
+          }
+          if (typeof value === 'number') {
+            return new Date(value);
+          }
+        }
+
+        var converted = jscCsvParser.convert(value, type);
+
+        // Other date strings Date can parse, e.g. RFC 2822 dates. Dates in
+        // the parser's forms that do not exist (2020-02-30) stay invalid;
+        // Date would roll them over.
+        if (converted === undefined && type === 'date' && typeof value === 'string' &&
+            !jscCsvParser.isDateForm(value)) {
+          var date = new Date(value);
+          return isNaN(date.getTime()) ? undefined : date;
+        }
+        return converted;
+      }
+
+      /**
+       * Compile a field mapping. Each field is a path (e.g. 'attributes.sales'),
+       * an object { path, type, default }, or a function(item, index).
+       *
+       * @param {Object} fields - Output property to field definition
+       * @returns {Array} Compiled fields
+       */
+      function compileFields(fields) {
+        return Object.keys(fields).map(function(name) {
+          var field = fields[name];
+
+          if (angular.isFunction(field)) {
+            return { name: name, get: field };
+          }
+
+          field = angular.isString(field) ? { path: field } : field;
+          var getter = $parse(field.path || name);
+
+          return {
+            name: name,
+            type: field.type,
+            defaultValue: field['default'],
+            get: function(item) {
+              return getter(item);
+            }
+          };
+        });
+      }
+
+      /**
+       * Map items with compiled fields, converting typed values. Values that
+       * cannot be converted become null and are added to errors.
+       *
+       * @param {Array} items - Source items
+       * @param {Array} fields - Compiled fields
+       * @param {Array} errors - Errors (modified)
+       * @param {Array<number>} [rows] - Source row of each item, for errors
+       * @returns {Array} Mapped items
+       */
+      function mapItems(items, fields, errors, rows) {
+        return items.map(function(item, index) {
+          var mapped = {};
+
+          fields.forEach(function(field) {
+            var value = field.get(item, index);
+
+            if (value === undefined || value === null || value === '') {
+              value = field.defaultValue === undefined ? null : field.defaultValue;
+            } else if (field.type) {
+              var converted = convertValue(value, field.type);
+              if (converted === undefined) {
+                errors.push({
+                  code: 'InvalidValue',
+                  message: 'Invalid ' + field.type + ' ' + angular.toJson(value),
+                  row: rows ? rows[index] : index + 1,
+                  column: field.name
+                });
+                converted = null;
+              }
+              value = converted;
+            }
+
+            mapped[field.name] = value;
+          });
+
+          return mapped;
+        });
+      }
+
+      /**
+       * Map items with options.fields, if set, and check for errors
+       *
+       * @param {Array} items - Source items
+       * @param {string} format - Data format, used in messages
+       * @param {string} source - Source of the items, used in messages
+       * @param {Object} options - Loader options
+       * @param {Array} [errors] - Errors found while parsing
+       * @param {Array<number>} [rows] - Source row of each item
+       * @returns {Array} Items or mapped points
+       */
+      function mapFields(items, format, source, options, errors, rows) {
+        errors = errors || [];
+        if (options.fields) {
+          items = mapItems(items, compileFields(options.fields), errors, rows);
+          errors.sort(function(a, b) {
+            return a.row - b.row;
+          });
+        }
+        checkErrors(errors, format, source, options);
+        return items;
+      }
+
+      /**
+       * Open a streamCsv() source. URLs are requested with fetch().
+       *
+       * @param {Blob|Response|ReadableStream|string} source
+       * @returns {Promise<Blob|Response|ReadableStream>}
+       */
+      function openSource(source) {
+        if (!angular.isString(source)) {
+          return $q.when(source);
+        }
+
+        return $q.when($window.fetch(source)).then(function(response) {
+          if (!response.ok) {
+            throw jscErrors.report(JscError.DATA_LOAD_FAILED, 'Error loading data from ' + source +
+              ' (' + response.status + (response.statusText ? ' ' + response.statusText : '') + ')');
+          }
+          return response;
+        });
+      }
+
+      /**
+       * Create a reader that returns a source as decoded text chunks
+       *
+       * @param {Blob|Response|ReadableStream} source
+       * @param {number} chunkSize - Blob chunk size in bytes
+       * @returns {Object} Reader with read() and cancel(); read() resolves
+       *   to { text, done, loaded, total }
+       */
+      function createChunkReader(source, chunkSize) {
+        var decoder = new $window.TextDecoder('utf-8');
+        var loaded = 0;
+
+        // Blob or File: read slices
+        if ($window.Blob && source instanceof $window.Blob) {
+          var readSlice = function(slice) {
+            if (slice.arrayBuffer) {
+              return $q.when(slice.arrayBuffer());
+            }
+            return $q(function(resolve, reject) {
+              var fileReader = new $window.FileReader();
+              fileReader.onload = function() {
+                resolve(fileReader.result);
+              };
+              fileReader.onerror = function() {
+                reject(fileReader.error);
+              };
+              fileReader.readAsArrayBuffer(slice);
+            });
+          };
+
+          return {
+            read: function() {
+              if (loaded >= source.size) {
+                return $q.when({ text: decoder.decode(), done: true, loaded: loaded, total: source.size });
+              }
+              var slice = source.slice(loaded, loaded + chunkSize);
+              return readSlice(slice).then(function(buffer) {
+                loaded += slice.size;
+                return {
+                  text: decoder.decode(new Uint8Array(buffer), { stream: true }),
+                  done: false,
+                  loaded: loaded,
+                  total: source.size
+                };
+              });
+            },
+            cancel: angular.noop
+          };
+        }
+
+        // fetch() Response or ReadableStream: read the body
+        var body = source && source.body ? source.body : source;
+        if (!body || typeof body.getReader !== 'function') {
+          throw jscErrors.report(JscError.DATA_LOAD_FAILED,
+            'CSV source must be a URL, Blob, File, fetch Response or ReadableStream');
+        }
+
+        var streamReader = body.getReader();
+        var length = source.headers ? parseInt(source.headers.get('Content-Length'), 10) : NaN;
+        var total = isNaN(length) ? null : length;
+
+        return {
+          read: function() {
+            return $q.when(streamReader.read()).then(function(result) {
+              if (result.done) {
+                return { text: decoder.decode(), done: true, loaded: loaded, total: total };
+              }
+              loaded += result.value.byteLength;
+              return {
+                text: decoder.decode(result.value, { stream: true }),
+                done: false,
+                loaded: loaded,
+                total: total
+              };
+            });
+          },
+          cancel: function() {
+            streamReader.cancel();
+          }
+        };
+      }
+
+      // Incremental rollup calculations for streamCsv() aggregation
+      var accumulators = {
+        sum: function(acc, value) {
+          return (acc || 0) + value;
+        },
+        count: function(acc) {
+          return (acc || 0) + 1;
+        },
+        min: function(acc, value) {
+          return acc === undefined || value < acc ? value : acc;
+        },
+        max: function(acc, value) {
+          return acc === undefined || value > acc ? value : acc;
+        },
+        mean: function(acc, value) {
+          acc = acc || { sum: 0, count: 0 };
+          acc.sum += value;
+          acc.count++;
+          return acc;
+        }
+      };
+
+      /**
+       * Create an aggregator that groups rows as they arrive, like
+       * nestToSeries() but without holding the rows
+       *
+       * @param {Object} config - Aggregation configuration
+       * @param {Array<string>} config.keys - One key (points) or two keys (series, then points)
+       * @param {Object} [config.rollup] - { property, calculation }; calculation is
+       *   sum, mean, min, max or count. Counts rows by default
+       * @returns {Object} Aggregator with add(rows) and series()
+       */
+      function createAggregator(config) {
+        var keys = config.keys || [];
+        var rollup = config.rollup || { calculation: 'count' };
+        var accumulate = accumulators[rollup.calculation];
+        var seriesKey = keys.length > 1 ? keys[0] : null;
+        var pointKey = keys[keys.length - 1];
+        var groups = [];
+        var groupIndex = {};
+
+        if (!keys.length || keys.length > 2) {
+          throw new JscError(JscError.INVALID_ARGUMENT, 'CSV aggregation needs one or two keys');
+        }
+        if (!accumulate) {
+          throw new JscError(JscError.INVALID_ARGUMENT,
+            'Unsupported CSV aggregation calculation: ' + rollup.calculation);
+        }
+
+        function keyOf(value) {
+          return angular.isDate(value) ? 'd' + value.getTime() : typeof value + value;
+        }
+
+        function getGroup(list, index, value) {
+          var key = keyOf(value);
+          if (!index[key]) {
+            index[key] = { value: value, points: [], pointIndex: {} };
+            list.push(index[key]);
+          }
+          return index[key];
+        }
+
+        return {
+          add: function(rows) {
+            rows.forEach(function(row) {
+              var value = rollup.property ? row[rollup.property] : null;
+              if (rollup.calculation !== 'count' && (typeof value !== 'number' || isNaN(value))) {
+                return;
+              }
+
+              var group = getGroup(groups, groupIndex, seriesKey ? row[seriesKey] : rollup.property || 'count');
+              var point = getGroup(group.points, group.pointIndex, row[pointKey]);
+              point.acc = accumulate(point.acc, value);
+            });
+          },
+
+          series: function() {
+            return groups.map(function(group) {
+              return {
+                name: String(group.value),
+                points: group.points.map(function(point) {
+                  var y = rollup.calculation === 'mean' ? point.acc.sum / point.acc.count : point.acc;
+                  return { x: point.value, y: y };
+                })
+              };
+            });
+          }
+        };
+      }
+
+      /**
+       * Convert numeric strings (e.g. CSV fields) to numbers
+       */
+      function toValue(value) {
+        if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+          return Number(value);
+        }
+        return value;
+      }
+
+      /**
+       * Compile a date format such as 'DD/MM/YYYY HH:mm' to a regular
+       * expression and the token of each group
+       */
+      function compileDateFormat(format) {
+        if (!dateFormats[format]) {
+          var tokens = [];
+          var source = format.replace(/YYYY|MM?|DD?|HH?|mm|ss|[.*+?^${}()|[\]\\\/]/g, function(token) {
+            if (DATE_TOKENS[token]) {
+              tokens.push(token.charAt(0));
+              return DATE_TOKENS[token];
+            }
+            return '\\' + token;
+          });
+          dateFormats[format] = { pattern: new RegExp('^' + source + '$'), tokens: tokens };
+        }
+        return dateFormats[format];
+      }
+
+      /**
+       * Parse a date string in a format, as a local date
+       * @param {string} value - Date string
+       * @param {string} format - Format of YYYY, MM, M, DD, D, HH, H, mm and ss tokens
+       * @returns {Date|undefined} The date, or undefined if the value does not match
+       */
+      function parseDateFormat(value, format) {
+        var compiled = compileDateFormat(format);
+        var match = compiled.pattern.exec(value.trim());
+        if (!match) {
+          return undefined;
+        }
+
+        var parts = { Y: 1970, M: 1, D: 1, H: 0, m: 0, s: 0 };
+        compiled.tokens.forEach(function(token, index) {
+          parts[token] = Number(match[index + 1]);
+        });
+
+        var date = new Date(parts.Y, parts.M - 1, parts.D, parts.H, parts.m, parts.s);
+
+        // Reject rolled over values such as February 30 or 25:00
+        if (date.getMonth() !== parts.M - 1 || date.getDate() !== parts.D || parts.H > 23 ||
+            parts.m > 59 || parts.s > 59) {
+          return undefined;
+        }
+        return date;
+      }
+
+      /**
+       * Compile a validate() schema
+       * @param {Object} schema - Field name to type, or { type, required, min, max, format }
+       * @returns {Array<Object>} Field rules
+       */
+      function compileSchema(schema) {
+        return Object.keys(schema || {}).map(function(field) {
+          var rule = angular.isString(schema[field]) ? { type: schema[field] } : angular.extend({}, schema[field]);
+          rule.field = field;
+          rule.type = rule.type || 'string';
+
+          if (['number', 'boolean', 'date', 'string'].indexOf(rule.type) === -1) {
+            throw new JscError(JscError.INVALID_ARGUMENT, 'Unknown type of field "' + field + '": ' + rule.type);
+          }
+
+          // Compare dates by time
+          ['min', 'max'].forEach(function(bound) {
+            if (rule[bound] !== undefined && rule.type === 'date') {
+              var date = convertValue(rule[bound], 'date');
+              rule[bound] = date ? date.getTime() : undefined;
+            }
+          });
+
+          return rule;
+        });
+      }
+
+      /**
+       * Format the min or max of a schema rule for messages
+       */
+      function schemaBound(rule, bound) {
+        return rule.type === 'date' ? new Date(rule[bound]).toISOString() : rule[bound];
+      }
+
+      /**
+       * Check whether parsed data is already an array of series
+       */
+      function isSeriesArray(data) {
+        return data.length > 0 && data.every(function(item) {
+          return item && angular.isArray(item.points);
+        });
+      }
+
+      /**
+       * Create a pipeline that records its steps and runs them in a worker
+       *
+       * @param {Object} client - jscWorker client
+       * @param {Array<Object>} calls - Recorded { method, args } calls
+       * @returns {Object} Pipeline with the jscDataPipeline steps; run() and
+       *   toSeries() return promises
+       */
+      function createWorkerPipeline(client, calls) {
+        var pipeline = {
+          run: function(data) {
+            return client.call('jscDataPipeline', calls.concat([{ method: 'run', args: [data] }]));
+          },
+          toSeries: function(mapping, seriesDefaults, data) {
+            return client.call('jscDataPipeline', calls.concat([{
+              method: 'toSeries',
+              args: [mapping, seriesDefaults, data]
+            }]));
+          }
+        };
+
+        PIPELINE_STEPS.forEach(function(method) {
+          pipeline[method] = function() {
+            return createWorkerPipeline(client, calls.concat([{
+              method: method,
+              args: Array.prototype.slice.call(arguments)
+            }]));
+          };
+        });
+
+        return pipeline;
+      }
+
       return {
         /**
          * Fetch and parse CSV data from a URL
@@ -25,22 +590,30 @@
          * @param {Object} [options] - CSV parsing options
          * @param {Object} [options.columnTypes] - Column type definitions
          * @param {boolean} [options.firstRowHeaders] - First row contains headers
+         * @param {boolean|Object} [options.cache] - Cache option (see jscDataCache.load)
          * @returns {Promise<Array>} Parsed data array
          */
         fetchCsv: function(url, options) {
           var deferred = $q.defer();
+          var csvOptions = angular.extend({}, options);
+          delete csvOptions.cache;
 
           if (!isJSCAvailable()) {
-            deferred.reject('JSCharting library is not loaded.');
+            deferred.reject(jscErrors.report(JscError.LIBRARY_MISSING, 'JSCharting library is not loaded.'));
             return deferred.promise;
           }
 
-          JSC.fetch(url)
+          jscDataCache.load(url, function() {
+            return JSC.fetch(url)
+              .then(function(response) {
+                return response.text();
+              })
+              .then(function(text) {
+                return { data: text, contentType: null };
+              });
+          }, options && options.cache)
             .then(function(response) {
-              return response.text();
-            })
-            .then(function(text) {
-              var data = JSC.csv2Json(text, options);
+              var data = JSC.csv2Json(response.data, csvOptions);
               deferred.resolve(data);
             })
             .catch(function(error) {
@@ -50,6 +623,383 @@
           return deferred.promise;
         },
 
+        /**
+         * Load and parse CSV data from a URL with the built-in RFC 4180
+         * parser (jscCsvParser). Does not require the JSCharting library.
+         *
+         * Parse errors are logged, or reject the promise with a
+         * DATA_LOAD_FAILED error (with the error report as its cause) when
+         * options.strict is set.
+         *
+         * @param {string} url - URL to fetch
+         * @param {Object} [options] - Parser options (see jscCsvParser.parse)
+         * @param {string} [options.delimiter] - Field delimiter; detected by default
+         * @param {boolean|string|Array<string>} [options.header='auto'] - First row holds field names
+         * @param {boolean|Object} [options.types=true] - Column type inference or explicit column types
+         * @param {boolean} [options.strict] - Reject on parse errors
+         * @param {boolean|Object} [options.cache] - Cache option (see jscDataCache.load)
+         * @returns {Promise<Array>} Rows (objects keyed by field name, or arrays without a header)
+         */
+        loadCsv: function(url, options) {
+          return request(url, function(response) {
+            return parseCsvText(response.data, url, options);
+          }, options && options.cache);
+        },
+
+        /**
+         * Load a JSON array, e.g. from an API response envelope, and map its
+         * items to points
+         *
+         * Each fields entry is the property to create and either a path into
+         * the item ('attributes.sales'), an object { path, type, default } or
+         * a function(item, index). type is 'number', 'boolean', 'date' or
+         * 'string'; values that cannot be converted become null. Without
+         * fields, items are returned as is.
+         *
+         * @param {string} url - URL to fetch
+         * @param {Object} [options]
+         * @param {string} [options.root] - Path of the array in the response, e.g. 'data.items'
+         * @param {Object} [options.fields] - Output property to field definition
+         * @param {boolean} [options.strict] - Reject when values cannot be converted
+         * @param {boolean|Object} [options.cache] - Cache option (see jscDataCache.load)
+         * @returns {Promise<Array>} Items or points
+         */
+        loadJson: function(url, options) {
+          options = options || {};
+
+          return request(url, function(response) {
+            var data = angular.isString(response.data) ? JSON.parse(response.data) : response.data;
+            var items = options.root ? $parse(options.root)(data) : data;
+
+            if (!angular.isArray(items)) {
+              throw jscErrors.report(JscError.DATA_LOAD_FAILED, 'No array found ' +
+                (options.root ? 'at "' + options.root + '" ' : '') + 'in ' + url);
+            }
+
+            return mapFields(items, 'JSON', url, options);
+          }, options.cache);
+        },
+
+        /**
+         * Load newline-delimited JSON (one JSON value per line) and map the
+         * items to points. Lines that are not valid JSON are skipped and
+         * reported like CSV parse errors.
+         *
+         * @param {string} url - URL to fetch
+         * @param {Object} [options]
+         * @param {Object} [options.fields] - Output property to field definition (see loadJson)
+         * @param {boolean} [options.strict] - Reject on invalid lines or values
+         * @param {boolean|Object} [options.cache] - Cache option (see jscDataCache.load)
+         * @returns {Promise<Array>} Items or points
+         */
+        loadNdjson: function(url, options) {
+          options = options || {};
+
+          return request(url, function(response) {
+            var items = [];
+            var rows = [];
+            var errors = [];
+
+            String(response.data || '').split(/\r\n|\n|\r/).forEach(function(line, index) {
+              if (!line.trim()) {
+                return;
+              }
+              try {
+                items.push(JSON.parse(line));
+                rows.push(index + 1);
+              } catch (e) {
+                errors.push({ code: 'InvalidJson', message: e.message, row: index + 1, column: 1 });
+              }
+            });
+
+            return mapFields(items, 'NDJSON', url, options, errors, rows);
+          }, options.cache);
+        },
+
+        /**
+         * Parse large CSV files in chunks without loading the whole text.
+         * Rows are passed to options.onRows as they are parsed and are not
+         * kept; with options.aggregate they are grouped as they arrive, so
+         * charts can be built without holding every row.
+         *
+         * The promise is notified after each chunk with
+         * { loaded, total, rowCount, series } (series with options.aggregate).
+         *
+         * @param {Blob|File|Response|ReadableStream|string} source - File, fetch()
+         *   Response or body, or a URL to fetch
+         * @param {Object} [options] - Parser options (see loadCsv)
+         * @param {Function} [options.onRows] - Called with (rows, progress) for each parsed chunk
+         * @param {Object} [options.aggregate] - { keys, rollup: { property, calculation } };
+         *   one key groups points, two keys group series and then points. calculation is
+         *   sum, mean, min, max or count
+         * @param {number} [options.chunkSize=1048576] - Blob chunk size in bytes
+         * @param {number} [options.sampleSize=1000] - Rows used to infer column types
+         * @param {Promise} [options.timeout] - Cancels reading when resolved, like $http
+         * @returns {Promise<Object>} Resolves to { rowCount, fields, errors, series }
+         */
+        streamCsv: function(source, options) {
+          options = angular.extend({ sampleSize: STREAM_SAMPLE_SIZE }, options);
+
+          var deferred = $q.defer();
+          var name = angular.isString(source) ? source : (source && source.name) || 'stream';
+          var aggregator = null;
+          var reader = null;
+          var isCancelled = false;
+          var progress = { loaded: 0, total: null, rowCount: 0 };
+
+          try {
+            aggregator = options.aggregate ? createAggregator(options.aggregate) : null;
+          } catch (e) {
+            return $q.reject(e);
+          }
+
+          var parser = jscCsvParser.createParser(options, function(rows) {
+            progress.rowCount += rows.length;
+            if (aggregator) {
+              aggregator.add(rows);
+            }
+            if (options.onRows) {
+              options.onRows(rows, progress);
+            }
+          });
+
+          function notify() {
+            var update = angular.extend({}, progress);
+            if (aggregator) {
+              update.series = aggregator.series();
+            }
+            deferred.notify(update);
+          }
+
+          function readNext() {
+            return reader.read().then(function(chunk) {
+              if (isCancelled) {
+                return;
+              }
+
+              progress.loaded = chunk.loaded;
+              progress.total = chunk.total;
+              parser.write(chunk.text);
+
+              if (!chunk.done) {
+                notify();
+                return readNext();
+              }
+
+              var result = parser.end();
+              checkErrors(result.errors, 'CSV', name, options);
+
+              deferred.resolve({
+                rowCount: result.rowCount,
+                fields: result.fields,
+                errors: result.errors,
+                series: aggregator ? aggregator.series() : null
+              });
+            });
+          }
+
+          if (options.timeout) {
+            $q.when(options.timeout).then(function() {
+              if (!isCancelled) {
+                isCancelled = true;
+                if (reader) {
+                  reader.cancel();
+                }
+                deferred.reject(new JscError(JscError.DATA_LOAD_FAILED, 'Reading ' + name + ' was cancelled'));
+              }
+            });
+          }
+
+          openSource(source).then(function(opened) {
+            if (isCancelled) {
+              return;
+            }
+            reader = createChunkReader(opened, options.chunkSize || STREAM_CHUNK_SIZE);
+            return readNext();
+          }).catch(function(error) {
+            if (isCancelled) {
+              return;
+            }
+            isCancelled = true;
+            if (reader) {
+              reader.cancel();
+            }
+            deferred.reject(jscErrors.isJscError(error) ? error :
+              jscErrors.report(JscError.DATA_LOAD_FAILED, 'Error reading ' + name, error));
+          });
+
+          return deferred.promise;
+        },
+
+        /**
+         * Fetch data from a URL, parsing it as JSON or CSV. JSON is detected
+         * from the response content type or content; anything else is
+         * parsed with the built-in CSV parser.
+         *
+         * @param {string} url - URL to fetch
+         * @param {Object} [options]
+         * @param {Object} [options.csv] - CSV parsing options (see loadCsv)
+         * @param {boolean|Object} [options.cache] - Cache option (see jscDataCache.load)
+         * @returns {Promise<Array|Object>} Parsed data
+         */
+        fetchData: function(url, options) {
+          options = options || {};
+
+          return request(url, function(response) {
+            var text = response.data;
+            if (typeof text !== 'string') {
+              return text;
+            }
+            return isJson(text, response.contentType) ?
+              JSON.parse(text) : parseCsvText(text, url, options.csv);
+          }, options.cache);
+        },
+
+        /**
+         * Validate records against a schema, converting values to the field
+         * types. Values that are missing, invalid or out of range are
+         * reported and set to null; other fields are copied as is.
+         *
+         * Each schema entry is a type ('number', 'boolean', 'date' or
+         * 'string') or { type, required, min, max, format }. min and max
+         * apply to numbers and dates; format is a date format such as
+         * 'DD/MM/YYYY' or 'YYYY-MM-DD HH:mm:ss' for date strings.
+         *
+         * Error codes:
+         *   - Required: A required field is missing or empty
+         *   - InvalidType: A value cannot be converted to the field type
+         *   - InvalidFormat: A date string does not match the field format
+         *   - OutOfRange: A value is below min or above max
+         *
+         * @param {Array<Object>} records - Records to validate
+         * @param {Object} schema - Field name to field definition
+         * @param {Object} [options]
+         * @param {boolean} [options.dropInvalid] - Leave records with errors out of the data
+         * @returns {Object} { data, errors: [{ index, field, code, message, value }], valid }
+         * @throws {JscError} INVALID_ARGUMENT when records is not an array or
+         *   the schema has an unknown type
+         */
+        validate: function(records, schema, options) {
+          options = options || {};
+
+          if (!angular.isArray(records)) {
+            throw new JscError(JscError.INVALID_ARGUMENT, 'Data to validate is not an array');
+          }
+
+          var rules = compileSchema(schema);
+          var data = [];
+          var errors = [];
+
+          records.forEach(function(record, index) {
+            var copy = angular.extend({}, record);
+            var isValid = true;
+
+            function fail(rule, code, message, value) {
+              errors.push({ index: index, field: rule.field, code: code, message: message, value: value });
+              copy[rule.field] = null;
+              isValid = false;
+            }
+
+            rules.forEach(function(rule) {
+              var value = record ? record[rule.field] : undefined;
+
+              if (value === undefined || value === null || value === '') {
+                if (rule.required) {
+                  fail(rule, 'Required', 'Value is required', value);
+                } else if (value === '') {
+                  copy[rule.field] = null;
+                }
+                return;
+              }
+
+              var converted = rule.type === 'date' && rule.format && angular.isString(value) ?
+                parseDateFormat(value, rule.format) : convertValue(value, rule.type);
+
+              if (converted === undefined) {
+                if (rule.type === 'date' && rule.format && angular.isString(value)) {
+                  fail(rule, 'InvalidFormat', 'Expected a date in the format ' + rule.format, value);
+                } else {
+                  fail(rule, 'InvalidType', 'Expected a ' + rule.type, value);
+                }
+                return;
+              }
+
+              var comparable = rule.type === 'date' ? converted.getTime() : converted;
+              if (rule.min !== undefined && comparable < rule.min) {
+                fail(rule, 'OutOfRange', 'Expected a value of at least ' + schemaBound(rule, 'min'), value);
+              } else if (rule.max !== undefined && comparable > rule.max) {
+                fail(rule, 'OutOfRange', 'Expected a value of at most ' + schemaBound(rule, 'max'), value);
+              } else {
+                copy[rule.field] = converted;
+              }
+            });
+
+            if (isValid || !options.dropInvalid) {
+              data.push(copy);
+            }
+          });
+
+          return { data: data, errors: errors, valid: !errors.length };
+        },
+
+        /**
+         * Group data rows into series
+         *
+         * Each mapping key except series is a point property and its value
+         * the row field to read, e.g. { x: 'date', y: 'sales', series: 'region' }.
+         * Rows are grouped into one series per value of the series field,
+         * in order of appearance. Numeric strings are converted to numbers.
+         *
+         * Without a mapping, the first two fields of each row are used as
+         * x and y. Data that is already an array of series is returned as is.
+         *
+         * @param {Array} rows - Data rows
+         * @param {Object} [mapping] - Point property to field mapping
+         * @param {Object} [seriesDefaults] - Default series options
+         * @returns {Array} Series
+         */
+        rowsToSeries: function(rows, mapping, seriesDefaults) {
+          if (!angular.isArray(rows)) {
+            throw new JscError(JscError.INVALID_ARGUMENT, 'Data is not an array of rows');
+          }
+          if (!mapping && isSeriesArray(rows)) {
+            return rows;
+          }
+
+          if (!mapping) {
+            var fields = rows.length ? Object.keys(rows[0]) : [];
+            mapping = { x: fields[0], y: fields[1] };
+          }
+
+          var seriesField = mapping.series;
+          var groups = {};
+          var names = [];
+
+          rows.forEach(function(row) {
+            var name = seriesField ? String(row[seriesField]) : (mapping.y || 'Series 1');
+            var point = {};
+
+            angular.forEach(mapping, function(field, property) {
+              if (property !== 'series' && row[field] !== undefined) {
+                point[property] = toValue(row[field]);
+              }
+            });
+
+            if (!groups[name]) {
+              groups[name] = [];
+              names.push(name);
+            }
+            groups[name].push(point);
+          });
+
+          return names.map(function(name) {
+            return angular.extend({}, seriesDefaults, {
+              name: name,
+              points: groups[name]
+            });
+          });
+        },
+
         /**
          * Parse CSV text to JSON
          *
@@ -59,11 +1009,309 @@
          */
         parseCsv: function(csvText, options) {
           if (!isJSCAvailable()) {
-            throw new Error('JSCharting library is not loaded.');
+            throw jscErrors.report(JscError.LIBRARY_MISSING, 'JSCharting library is not loaded.');
           }
           return JSC.csv2Json(csvText, options);
         },
 
+        /**
+         * Create a chainable data pipeline (see jscDataPipeline). Does not
+         * require the JSCharting library.
+         *
+         * @param {Array} [data] - Data to transform; pipelines can also be run against other data
+         * @returns {DataPipeline} Pipeline with filter, derive, groupBy, rollup, sort,
+         *   topN, run and toSeries
+         */
+        pipeline: function(data) {
+          return jscDataPipeline.create(data);
+        },
+
+        /**
+         * Statistics (see jscStatistics): regression(points, options),
+         * percentile(values, p), quartiles(values), histogram(values, options),
+         * boxWhisker(values, options) and boxWhiskerPoints(groups, options).
+         * Does not require the JSCharting library.
+         */
+        stats: jscStatistics,
+
+        /**
+         * Response cache of the fetch methods (see jscDataCache):
+         * invalidate(key | pattern | function(key)) and clear()
+         */
+        cache: {
+          invalidate: jscDataCache.invalidate,
+          clear: jscDataCache.clear
+        },
+
+        /**
+         * Run CSV parsing, pipelines, downsampling and statistics in a Web
+         * Worker (see jscWorker). Methods return promises. Functions passed
+         * to pipeline steps are sent as source and cannot use variables of
+         * their surrounding scope.
+         *
+         * @param {Object} [scope] - Cancel pending tasks and release the worker
+         *   when this scope is destroyed
+         * @returns {Object} { parseCsv(text, options), pipeline(data),
+         *   downsample(points, maxPoints, options), stats, cancel() }
+         */
+        worker: function(scope) {
+          var client = jscWorker.create(scope);
+          var stats = {};
+
+          STATISTICS_METHODS.forEach(function(method) {
+            stats[method] = function() {
+              return client.call('jscStatistics', [{ method: method, args: Array.prototype.slice.call(arguments) }]);
+            };
+          });
+
+          return {
+            /**
+             * Parse CSV text with the built-in parser (see loadCsv options)
+             * @returns {Promise<Array>} Rows
+             */
+            parseCsv: function(text, options) {
+              options = options || {};
+              return client.call('jscCsvParser', [{ method: 'parse', args: [text, options] }]).then(function(result) {
+                checkErrors(result.errors, 'CSV', 'text', options);
+                return result.rows;
+              });
+            },
+
+            /**
+             * Create a pipeline (see pipeline()); run() and toSeries() return promises
+             */
+            pipeline: function(data) {
+              return createWorkerPipeline(client, [{ method: 'create', args: [data] }]);
+            },
+
+            /**
+             * Downsample points (see jscPerformance.downsample)
+             * @returns {Promise<Array>} Downsampled points
+             */
+            downsample: function(points, maxPoints, options) {
+              return client.call('jscPerformance', [{ method: 'downsample', args: [points, maxPoints, options] }]);
+            },
+
+            // jscStatistics methods; regression results have no predict()
+            stats: stats,
+
+            cancel: client.cancel
+          };
+        },
+
+        /**
+         * Resample points to an interval ('minute', 'hour', 'day', 'week',
+         * 'month', '15 minutes' or milliseconds), aggregating each interval
+         * (see jscTimeSeries)
+         *
+         * @param {Array} points - { x, y } points or [x, y] arrays
+         * @param {string|Object|number} interval - Interval
+         * @param {string|Function} [aggregate='mean'] - Calculation or function(values)
+         * @param {Object} [options] - { fill, weekStart }
+         * @returns {Array} Points
+         */
+        resample: function(points, interval, aggregate, options) {
+          return jscTimeSeries.resample(points, interval, aggregate, options);
+        },
+
+        /**
+         * Add points for missing intervals and fill null values
+         * ('null', 'zero', 'previous' or 'linear')
+         *
+         * @param {Array} points - Points, one per interval
+         * @param {string|Object|number} interval - Interval
+         * @param {string} [method='null'] - Fill method
+         * @param {Object} [options] - { weekStart }
+         * @returns {Array} Points
+         */
+        fillGaps: function(points, interval, method, options) {
+          return jscTimeSeries.fillGaps(points, interval, method, options);
+        },
+
+        /**
+         * Align series onto shared timestamps so each series has a point at
+         * every timestamp
+         *
+         * @param {Array<Object>} seriesList - Series with points
+         * @param {Object} [options] - { interval, aggregate, fill, weekStart }
+         * @returns {Array<Object>} Copies of the series with aligned points
+         */
+        align: function(seriesList, options) {
+          return jscTimeSeries.align(seriesList, options);
+        },
+
+        /**
+         * Calculate a rolling window (e.g. a moving average or sum) over points
+         *
+         * @param {Array} points - Points
+         * @param {number|string|Object} window - Number of points, or a time span ('7 days')
+         * @param {string|Function} [aggregate='mean'] - Calculation or function(values)
+         * @param {Object} [options] - { minPeriods }
+         * @returns {Array} Points
+         */
+        rolling: function(points, window, aggregate, options) {
+          return jscTimeSeries.rolling(points, window, aggregate, options);
+        },
+
+        /**
+         * Pivot records into a grid-ready table and chart-ready series
+         *
+         * Records are grouped by the rows and columns fields and each cell
+         * aggregates the values field. Totals aggregate the records of a row,
+         * a column or all records, so they are also correct for calculations
+         * such as mean. Cells without records are null.
+         *
+         * The table can be bound to jsc-grid; its rows hold the row fields,
+         * one field per column (c0, c1, ...) and the row total:
+         *   <jsc-grid jsc-data="vm.pivot.table.data" jsc-columns="vm.pivot.table.columns"></jsc-grid>
+         *
+         * @param {Array} records - Source records
+         * @param {Object} config - Pivot configuration
+         * @param {string|Array<string>} config.rows - Row field(s)
+         * @param {string|Array<string>} config.columns - Column field(s)
+         * @param {string} [config.values] - Field to aggregate
+         * @param {string|Function} [config.aggregate='sum'] - Calculation (see pipeline rollup)
+         *   or function(records)
+         * @param {boolean} [config.totals=true] - Add a total column and a total row to the table
+         * @param {string} [config.totalLabel='Total'] - Label of the totals
+         * @param {string} [config.seriesBy='columns'] - One series per column value, or 'rows'
+         * @returns {Object} { table: { data, columns }, series, rowKeys, columnKeys,
+         *   cells, rowTotals, columnTotals, grandTotal }
+         */
+        pivot: function(records, config) {
+          if (!angular.isArray(records)) {
+            throw new JscError(JscError.INVALID_ARGUMENT, 'Records to pivot are not an array');
+          }
+          if (!angular.isObject(config)) {
+            throw new JscError(JscError.INVALID_ARGUMENT, 'Pivot configuration is missing');
+          }
+
+          var rowFields = [].concat(config.rows || []);
+          var columnFields = [].concat(config.columns || []);
+          var totalLabel = config.totalLabel || 'Total';
+          var calculate = config.aggregate;
+
+          if (!angular.isFunction(calculate)) {
+            var calculation = jscDataPipeline.calculations[calculate || 'sum'];
+            if (!calculation) {
+              throw new JscError(JscError.INVALID_ARGUMENT, 'Unknown pivot aggregate: ' + calculate);
+            }
+            calculate = function(group) {
+              return calculation(group, config.values);
+            };
+          }
+
+          function labelOf(record, fields) {
+            return fields.map(function(field) {
+              return record[field];
+            }).join(' / ');
+          }
+
+          // Group records by row, column and cell, keeping the order of appearance
+          var rowKeys = [];
+          var columnKeys = [];
+          var rowRecords = {};
+          var columnRecords = {};
+          var cellRecords = {};
+          var rowValues = {};
+
+          records.forEach(function(record) {
+            var row = labelOf(record, rowFields);
+            var column = labelOf(record, columnFields);
+            var cell = angular.toJson([row, column]);
+
+            if (!rowRecords[row]) {
+              rowRecords[row] = [];
+              rowKeys.push(row);
+              rowValues[row] = record;
+            }
+            if (!columnRecords[column]) {
+              columnRecords[column] = [];
+              columnKeys.push(column);
+            }
+            rowRecords[row].push(record);
+            columnRecords[column].push(record);
+            (cellRecords[cell] = cellRecords[cell] || []).push(record);
+          });
+
+          var cells = {};
+          var rowTotals = {};
+          var columnTotals = {};
+
+          rowKeys.forEach(function(row) {
+            cells[row] = {};
+            columnKeys.forEach(function(column) {
+              var group = cellRecords[angular.toJson([row, column])];
+              cells[row][column] = group ? calculate(group) : null;
+            });
+            rowTotals[row] = calculate(rowRecords[row]);
+          });
+          columnKeys.forEach(function(column) {
+            columnTotals[column] = calculate(columnRecords[column]);
+          });
+
+          var grandTotal = calculate(records);
+          var showTotals = config.totals !== false;
+
+          // Grid table
+          var columns = rowFields.map(function(field) {
+            return { header: field, value: '%' + field };
+          }).concat(columnKeys.map(function(column, index) {
+            return { header: column, value: '%c' + index };
+          }));
+          if (showTotals) {
+            columns.push({ header: totalLabel, value: '%total' });
+          }
+
+          var data = rowKeys.map(function(row) {
+            var tableRow = {};
+            rowFields.forEach(function(field) {
+              tableRow[field] = rowValues[row][field];
+            });
+            columnKeys.forEach(function(column, index) {
+              tableRow['c' + index] = cells[row][column];
+            });
+            if (showTotals) {
+              tableRow.total = rowTotals[row];
+            }
+            return tableRow;
+          });
+
+          if (showTotals) {
+            var totalRow = {};
+            rowFields.forEach(function(field, index) {
+              totalRow[field] = index === 0 ? totalLabel : '';
+            });
+            columnKeys.forEach(function(column, index) {
+              totalRow['c' + index] = columnTotals[column];
+            });
+            totalRow.total = grandTotal;
+            data.push(totalRow);
+          }
+
+          // Chart series
+          var byRows = config.seriesBy === 'rows';
+          var series = (byRows ? rowKeys : columnKeys).map(function(name) {
+            return {
+              name: name,
+              points: (byRows ? columnKeys : rowKeys).map(function(x) {
+                return { x: x, y: byRows ? cells[name][x] : cells[x][name] };
+              })
+            };
+          });
+
+          return {
+            table: { data: data, columns: columns },
+            series: series,
+            rowKeys: rowKeys,
+            columnKeys: columnKeys,
+            cells: cells,
+            rowTotals: rowTotals,
+            columnTotals: columnTotals,
+            grandTotal: grandTotal
+          };
+        },
+
         /**
          * Create a nest builder for data aggregation
          *
@@ -71,7 +1319,7 @@
          */
         nest: function() {
           if (!isJSCAvailable()) {
-            throw new Error('JSCharting library is not loaded.');
+            throw jscErrors.report(JscError.LIBRARY_MISSING, 'JSCharting library is not loaded.');
           }
           return JSC.nest();
         },
@@ -90,7 +1338,7 @@
          */
         nestToSeries: function(data, config) {
           if (!isJSCAvailable()) {
-            throw new Error('JSCharting library is not loaded.');
+            throw jscErrors.report(JscError.LIBRARY_MISSING, 'JSCharting library is not loaded.');
           }
 
           var nest = JSC.nest();
@@ -124,7 +1372,7 @@
          */
         arrayToPoints: function(properties, data) {
           if (!isJSCAvailable()) {
-            throw new Error('JSCharting library is not loaded.');
+            throw jscErrors.report(JscError.LIBRARY_MISSING, 'JSCharting library is not loaded.');
           }
           return JSC.pointsFromArray(properties, data);
         },
@@ -174,10 +1422,18 @@
          *
          * @param {Array} data - Data array
          * @param {string} property - Property to aggregate
-         * @param {string} calculation - Calculation type (sum, mean, min, max)
+         * @param {string} calculation - Calculation type (sum, mean, min, max,
+         *   count, median, q1 or q3)
          * @returns {number} Aggregated value
          */
         aggregate: function(data, property, calculation) {
+          if (calculation === 'median' || calculation === 'q1' || calculation === 'q3') {
+            var quartiles = jscStatistics.quartiles(data.map(function(d) {
+              return typeof d === 'object' ? d[property] : d;
+            }));
+            return quartiles[calculation] === null ? 0 : quartiles[calculation];
+          }
+
           if (!isJSCAvailable()) {
             // Fallback implementation
             var values = data.map(function(d) {
@@ -0,0 +1,109 @@
+/**
+ * JSCharting AngularJS Errors
+ *
+ * JscError is the error type used for all failures reported by the
+ * wrapper. Errors are passed to the global hooks registered with
+ * jscConfigProvider.onError() and to the jsc-on-error callback of the
+ * directive they occurred in. Invalid arguments to the data helpers are
+ * thrown to the caller as INVALID_ARGUMENT errors without calling the hooks.
+ *
+ * Usage:
+ *   angular.module('myApp')
+ *     .config(function(jscConfigProvider) {
+ *       jscConfigProvider.onError(function(error) {
+ *         myErrorTracker.capture(error.code, error.message, error.cause);
+ *       });
+ *     });
+ *
+ *   <jsc-chart jsc-options="vm.options" jsc-on-error="vm.onChartError(error)"></jsc-chart>
+ */
+(function(angular) {
+  'use strict';
+
+  /**
+   * Error raised by the JSCharting AngularJS wrapper
+   * @constructor
+   * @param {string} code - Error code (one of the JscError code constants)
+   * @param {string} message - Error message
+   * @param {*} [cause] - Underlying error
+   */
+  function JscError(code, message, cause) {
+    this.name = 'JscError';
+    this.code = code;
+    this.message = message;
+    this.cause = cause;
+
+    if (typeof Error.captureStackTrace === 'function') {
+      Error.captureStackTrace(this, JscError);
+    } else {
+      this.stack = new Error(message).stack;
+    }
+  }
+
+  JscError.prototype = Object.create(Error.prototype);
+  JscError.prototype.constructor = JscError;
+
+  // Error codes
+  JscError.LIBRARY_MISSING = 'LIBRARY_MISSING';
+  JscError.MODULE_LOAD_FAILED = 'MODULE_LOAD_FAILED';
+  JscError.CREATE_FAILED = 'CREATE_FAILED';
+  JscError.UPDATE_FAILED = 'UPDATE_FAILED';
+  JscError.EXPORT_FAILED = 'EXPORT_FAILED';
+  JscError.DATA_LOAD_FAILED = 'DATA_LOAD_FAILED';
+  JscError.VALIDATION_FAILED = 'VALIDATION_FAILED';
+  JscError.INVALID_ARGUMENT = 'INVALID_ARGUMENT';
+
+  angular.module('jsc.angular.core')
+    .constant('JscError', JscError)
+
+    .factory('jscErrors', ['jscConfig', function(jscConfig) {
+
+      /**
+       * Get a message from an error, string or other value
+       */
+      function getMessage(cause) {
+        if (cause && cause.message) {
+          return cause.message;
+        }
+        return typeof cause === 'string' ? cause : '';
+      }
+
+      /**
+       * Create an error and pass it to the global error hooks
+       *
+       * @param {string} code - Error code
+       * @param {string} message - Error message; the cause's message is appended
+       * @param {*} [cause] - Underlying error
+       * @returns {JscError} The error
+       */
+      function report(code, message, cause) {
+        var causeMessage = getMessage(cause);
+        var error = new JscError(code, causeMessage ? message + ': ' + causeMessage : message, cause);
+
+        jscConfig.getErrorHandlers().forEach(function(handler) {
+          try {
+            handler(error);
+          } catch (e) {
+            console.error('Error in jscConfig error handler:', e);
+          }
+        });
+
+        return error;
+      }
+
+      /**
+       * Check whether a value is a JscError
+       * @param {*} error
+       * @returns {boolean}
+       */
+      function isJscError(error) {
+        return error instanceof JscError;
+      }
+
+      return {
+        report: report,
+        isJscError: isJscError
+      };
+    }]);
+
+})(angular);
@@ -66,6 +66,70 @@
         }
       };
 
+      // Callback locals for chart events whose argument is not an event
+      var EVENT_LOCALS = {
+        pointSelectionChanged: 'points',
+        seriesSelectionChanged: 'series'
+      };
+
+      /**
+       * Get the scope property name for a callback attribute name
+       * (jscOnPointClick -> onPointClick)
+       * @param {string} attrName - Callback attribute name
+       * @returns {string}
+       */
+      function getScopeName(attrName) {
+        var name = attrName.replace(/^jsc/, '');
+        return name.charAt(0).toLowerCase() + name.slice(1);
+      }
+
+      /**
+       * Get the event name of a callback attribute or scope property name
+       * (jscOnPointClick or onPointClick -> pointClick)
+       * @param {string} name - Callback attribute or scope property name
+       * @returns {string}
+       */
+      function getEventName(name) {
+        name = getScopeName(name);
+        return name.charAt(2).toLowerCase() + name.slice(3);
+      }
+
+      /**
+       * Get a callback from a scope by attribute name, or by the scope
+       * property name used by the directives (jscOnLoad or onLoad)
+       */
+      function getCallback(scope, attrName) {
+        return scope[attrName] || scope[getScopeName(attrName)];
+      }
+
+      /**
+       * Resolve the chart passed to a wrapper. Charts can be passed as a
+       * function when the config is built before the chart is created.
+       */
+      function resolveChart(chart) {
+        return typeof chart === 'function' ? chart() : chart;
+      }
+
+      /**
+       * Get the callback of an event, combined with the handlers passed to
+       * wireAllEvents() (binding syncs, controller listeners). The handlers
+       * are called first.
+       */
+      function getHandler(scope, attrName, handlers) {
+        var callback = getCallback(scope, attrName);
+        var name = getScopeName(attrName);
+
+        if (!handlers || !handlers.handles(name)) {
+          return callback;
+        }
+        return function(locals) {
+          handlers.notify(name, locals);
+          if (callback) {
+            callback(locals);
+          }
+        };
+      }
+
       return {
         /**
          * Get the event map
@@ -83,6 +147,10 @@
           return EVENT_PREFIX;
         },
 
+        getScopeName: getScopeName,
+
+        getEventName: getEventName,
+
         /**
          * Subscribe to a JSCharting event at the application level.
          *
@@ -141,19 +209,23 @@
          * Create an event wrapper that bridges JSCharting events to Angular
          *
          * @param {Function} callback - Angular callback function
-         * @param {Object} chart - Chart instance
+         * @param {Object|Function} chart - Chart instance, or a function returning it
          * @param {string} [eventType] - Event type for context
          * @returns {Function} Wrapped callback
          */
         wrapCallback: function(callback, chart, eventType) {
           return function(jscEvent) {
             $timeout(function() {
-              callback({
+              var locals = {
                 event: jscEvent,
-                chart: chart,
+                chart: resolveChart(chart),
                 type: eventType,
                 timestamp: Date.now()
-              });
+              };
+              if (EVENT_LOCALS[eventType]) {
+                locals[EVENT_LOCALS[eventType]] = jscEvent;
+              }
+              callback(locals);
             });
           };
         },
@@ -162,7 +234,7 @@
          * Create point event wrapper
          *
          * @param {Function} callback - Angular callback function
-         * @param {Object} chart - Chart instance
+         * @param {Object|Function} chart - Chart instance, or a function returning it
          * @returns {Function} Wrapped callback
          */
         wrapPointCallback: function(callback, chart) {
@@ -172,7 +244,7 @@
               callback({
                 event: jscEvent,
                 point: point,
-                chart: chart,
+                chart: resolveChart(chart),
                 timestamp: Date.now()
               });
             });
@@ -183,7 +255,7 @@
          * Create series event wrapper
          *
          * @param {Function} callback - Angular callback function
-         * @param {Object} chart - Chart instance
+         * @param {Object|Function} chart - Chart instance, or a function returning it
          * @returns {Function} Wrapped callback
          */
         wrapSeriesCallback: function(callback, chart) {
@@ -193,7 +265,7 @@
               callback({
                 event: jscEvent,
                 series: series,
-                chart: chart,
+                chart: resolveChart(chart),
                 timestamp: Date.now()
               });
             });
@@ -206,15 +278,17 @@
          * @param {Object} config - Chart configuration
          * @param {Object} scope - Directive scope
          * @param {Object} chart - Chart instance (can be null initially)
+         * @param {Object} [handlers] - Additional handlers (see wireAllEvents)
          * @returns {Object} Modified config
          */
-        wireChartEvents: function(config, scope, chart) {
+        wireChartEvents: function(config, scope, chart, handlers) {
           var self = this;
           config.events = config.events || {};
 
           angular.forEach(EVENT_MAP.chart, function(scopeAttr, jscEvent) {
-            if (scope[scopeAttr]) {
-              config.events[jscEvent] = self.wrapCallback(scope[scopeAttr], chart, jscEvent);
+            var callback = getHandler(scope, scopeAttr, handlers);
+            if (callback) {
+              config.events[jscEvent] = self.wrapCallback(callback, chart, jscEvent);
             }
           });
 
@@ -227,16 +301,18 @@
          * @param {Object} config - Chart configuration
          * @param {Object} scope - Directive scope
          * @param {Object} chart - Chart instance
+         * @param {Object} [handlers] - Additional handlers (see wireAllEvents)
          * @returns {Object} Modified config
          */
-        wirePointEvents: function(config, scope, chart) {
+        wirePointEvents: function(config, scope, chart, handlers) {
           var self = this;
           config.defaultPoint = config.defaultPoint || {};
           config.defaultPoint.events = config.defaultPoint.events || {};
 
           angular.forEach(EVENT_MAP.point, function(scopeAttr, jscEvent) {
-            if (scope[scopeAttr]) {
-              config.defaultPoint.events[jscEvent] = self.wrapPointCallback(scope[scopeAttr], chart);
+            var callback = getHandler(scope, scopeAttr, handlers);
+            if (callback) {
+              config.defaultPoint.events[jscEvent] = self.wrapPointCallback(callback, chart);
             }
           });
 
@@ -249,16 +325,18 @@
          * @param {Object} config - Chart configuration
          * @param {Object} scope - Directive scope
          * @param {Object} chart - Chart instance
+         * @param {Object} [handlers] - Additional handlers (see wireAllEvents)
          * @returns {Object} Modified config
          */
-        wireSeriesEvents: function(config, scope, chart) {
+        wireSeriesEvents: function(config, scope, chart, handlers) {
           var self = this;
           config.defaultSeries = config.defaultSeries || {};
           config.defaultSeries.events = config.defaultSeries.events || {};
 
           angular.forEach(EVENT_MAP.series, function(scopeAttr, jscEvent) {
-            if (scope[scopeAttr]) {
-              config.defaultSeries.events[jscEvent] = self.wrapSeriesCallback(scope[scopeAttr], chart);
+            var callback = getHandler(scope, scopeAttr, handlers);
+            if (callback) {
+              config.defaultSeries.events[jscEvent] = self.wrapSeriesCallback(callback, chart);
             }
           });
 
@@ -271,39 +349,77 @@
          * @param {Object} config - Chart configuration
          * @param {Object} scope - Directive scope
          * @param {Object} chart - Chart instance
+         * @param {Object} [handlers] - Additional handlers (see wireAllEvents)
          * @returns {Object} Modified config
          */
-        wireLegendEvents: function(config, scope, chart) {
+        wireLegendEvents: function(config, scope, chart, handlers) {
           var self = this;
 
-          if (scope.jscOnLegendClick || scope.jscOnLegendMouseOver || scope.jscOnLegendMouseOut) {
-            config.legend = config.legend || {};
-            config.legend.defaultEntry = config.legend.defaultEntry || {};
-            config.legend.defaultEntry.events = config.legend.defaultEntry.events || {};
+          angular.forEach(EVENT_MAP.legendEntry, function(scopeAttr, jscEvent) {
+            var callback = getHandler(scope, scopeAttr, handlers);
+            if (callback) {
+              config.legend = config.legend || {};
+              config.legend.defaultEntry = config.legend.defaultEntry || {};
+              config.legend.defaultEntry.events = config.legend.defaultEntry.events || {};
+              config.legend.defaultEntry.events[jscEvent] = self.wrapCallback(callback, chart, jscEvent);
+            }
+          });
+
+          return config;
+        },
 
-            angular.forEach(EVENT_MAP.legendEntry, function(scopeAttr, jscEvent) {
-              if (scope[scopeAttr]) {
-                config.legend.defaultEntry.events[jscEvent] = self.wrapCallback(scope[scopeAttr], chart, jscEvent);
-              }
+        /**
+         * Wire x axis tick events from scope to the x axis, or to each x
+         * axis when config.xAxis is an array
+         *
+         * @param {Object} config - Chart configuration
+         * @param {Object} scope - Directive scope
+         * @param {Object} chart - Chart instance
+         * @param {Object} [handlers] - Additional handlers (see wireAllEvents)
+         * @returns {Object} Modified config
+         */
+        wireAxisTickEvents: function(config, scope, chart, handlers) {
+          var self = this;
+
+          angular.forEach(EVENT_MAP.axisTick, function(scopeAttr, jscEvent) {
+            var callback = getHandler(scope, scopeAttr, handlers);
+            if (!callback) {
+              return;
+            }
+            // Wire every x axis when several are configured
+            config.xAxis = config.xAxis || {};
+            (angular.isArray(config.xAxis) ? config.xAxis : [config.xAxis]).forEach(function(axis) {
+              axis.defaultTick = axis.defaultTick || {};
+              axis.defaultTick.events = axis.defaultTick.events || {};
+              axis.defaultTick.events[jscEvent] = self.wrapCallback(callback, chart, jscEvent);
             });
-          }
+          });
 
           return config;
         },
 
         /**
-         * Wire all events from scope to config
+         * Wire all events from scope to config. Callbacks are looked up by
+         * attribute name (jscOnPointClick) or scope property name (onPointClick).
+         *
+         * Directives can pass handlers that also receive events, with or
+         * without a scope callback (e.g. to sync two-way bindings):
+         *   handlers.handles(name): Whether the event has a handler, by scope
+         *     property name ('onPointClick')
+         *   handlers.notify(name, locals): Call the handlers with the callback locals
          *
          * @param {Object} config - Chart configuration
          * @param {Object} scope - Directive scope
-         * @param {Object} chart - Chart instance
+         * @param {Object|Function} chart - Chart instance, or a function returning it
+         * @param {Object} [handlers] - Additional handlers ({ handles, notify })
          * @returns {Object} Modified config
          */
-        wireAllEvents: function(config, scope, chart) {
-          this.wireChartEvents(config, scope, chart);
-          this.wirePointEvents(config, scope, chart);
-          this.wireSeriesEvents(config, scope, chart);
-          this.wireLegendEvents(config, scope, chart);
+        wireAllEvents: function(config, scope, chart, handlers) {
+          this.wireChartEvents(config, scope, chart, handlers);
+          this.wirePointEvents(config, scope, chart, handlers);
+          this.wireSeriesEvents(config, scope, chart, handlers);
+          this.wireLegendEvents(config, scope, chart, handlers);
+          this.wireAxisTickEvents(config, scope, chart, handlers);
           return config;
         }
       };
@@ -66,7 +66,7 @@
         return angular.copy(moduleMap);
       };
 
-      this.$get = ['$q', '$document', function($q, $document) {
+      this.$get = ['$q', '$document', 'jscErrors', 'JscError', function($q, $document, jscErrors, JscError) {
 
         /**
          * Load a script dynamically
@@ -102,7 +102,7 @@
           };
 
           script.onerror = function() {
-            deferred.reject('Failed to load module: ' + fullSrc);
+            deferred.reject(jscErrors.report(JscError.MODULE_LOAD_FAILED, 'Failed to load module: ' + fullSrc));
           };
 
           document.head.appendChild(script);
@@ -7,8 +7,8 @@
 (function(angular) {
   'use strict';
 
-  angular.module('jsc.angular.core')
-    .factory('jscPerformance', ['$timeout', function($timeout) {
+  var performanceUtils = ['$timeout',
+    function($timeout) {
 
       /**
        * Creates a debounced function that delays invoking func until after
@@ -155,17 +155,190 @@
       }
 
       /**
-       * Downsamples data for initial render, keeping every nth point.
+       * Get the x values of points as numbers: numbers, Dates and date
+       * strings are converted, otherwise (categories, plain values) the
+       * point indexes are used.
        *
-       * @param {Array} data - The data array
-       * @param {number} maxPoints - Maximum number of points to keep
-       * @returns {Array} Downsampled data
+       * @param {Array} data - { x, y } points, [x, y] arrays or y values
+       * @returns {Array<number>} x values
        */
-      function downsample(data, maxPoints) {
-        if (!data || data.length <= maxPoints) {
+      function getXValues(data) {
+        var xs = [];
+
+        for (var i = 0; i < data.length; i++) {
+          var point = data[i];
+          var x = angular.isArray(point) ? point[0] : point && typeof point === 'object' ? point.x : undefined;
+
+          if (angular.isDate(x)) {
+            x = x.getTime();
+          } else if (angular.isString(x)) {
+            x = Date.parse(x);
+          }
+
+          if (typeof x !== 'number' || isNaN(x)) {
+            return data.map(function(point, index) {
+              return index;
+            });
+          }
+          xs.push(x);
+        }
+
+        return xs;
+      }
+
+      /**
+       * Get the y value of a point, or NaN when it is not a number
+       */
+      function getY(point) {
+        var y = angular.isArray(point) ? point[1] : point && typeof point === 'object' ? point.y : point;
+        return typeof y === 'number' ? y : NaN;
+      }
+
+      /**
+       * Largest-Triangle-Three-Buckets: keeps the first and last points and
+       * from each bucket in between the point forming the largest triangle
+       * with the previous kept point and the next bucket's average, so
+       * spikes and the shape of the line are preserved.
+       *
+       * @param {Array} data - Points sorted by x
+       * @param {Array<number>} xs - x values
+       * @param {number} maxPoints - Points to keep (3 or more)
+       * @returns {Array} Kept points
+       */
+      function lttb(data, xs, maxPoints) {
+        var result = [data[0]];
+        var every = (data.length - 2) / (maxPoints - 2);
+        var previous = 0;
+
+        for (var i = 0; i < maxPoints - 2; i++) {
+          // Average of the next bucket (the last point for the last bucket)
+          var nextStart = Math.floor((i + 1) * every) + 1;
+          var nextEnd = Math.min(Math.floor((i + 2) * every) + 1, data.length);
+          var avgX = 0;
+          var avgY = 0;
+          var count = 0;
+
+          for (var j = nextStart; j < nextEnd; j++) {
+            var y = getY(data[j]);
+            if (!isNaN(y)) {
+              avgX += xs[j];
+              avgY += y;
+              count++;
+            }
+          }
+
+          var previousY = getY(data[previous]);
+          if (count) {
+            avgX /= count;
+            avgY /= count;
+          } else {
+            avgX = xs[nextStart];
+            avgY = isNaN(previousY) ? 0 : previousY;
+          }
+          if (isNaN(previousY)) {
+            previousY = avgY;
+          }
+
+          // Point of this bucket with the largest triangle; buckets without
+          // values keep their first point so gaps are preserved
+          var start = Math.floor(i * every) + 1;
+          var end = Math.floor((i + 1) * every) + 1;
+          var selected = start;
+          var maxArea = -1;
+
+          for (j = start; j < end; j++) {
+            var value = getY(data[j]);
+            if (isNaN(value)) {
+              continue;
+            }
+            var area = Math.abs((xs[previous] - avgX) * (value - previousY) -
+              (xs[previous] - xs[j]) * (avgY - previousY));
+            if (area > maxArea) {
+              maxArea = area;
+              selected = j;
+            }
+          }
+
+          result.push(data[selected]);
+          previous = selected;
+        }
+
+        result.push(data[data.length - 1]);
+        return result;
+      }
+
+      /**
+       * Keep the first and last points and the lowest and highest point of
+       * each bucket in between, in their original order
+       *
+       * @param {Array} data - Points sorted by x
+       * @param {number} maxPoints - Points to keep (3 or more)
+       * @returns {Array} Kept points
+       */
+      function minMax(data, maxPoints) {
+        var buckets = Math.max(1, Math.floor((maxPoints - 2) / 2));
+        var size = (data.length - 2) / buckets;
+        var result = [data[0]];
+
+        for (var i = 0; i < buckets; i++) {
+          var start = Math.floor(i * size) + 1;
+          var end = Math.floor((i + 1) * size) + 1;
+          var minIndex = -1;
+          var maxIndex = -1;
+
+          for (var j = start; j < end; j++) {
+            var y = getY(data[j]);
+            if (isNaN(y)) {
+              continue;
+            }
+            if (minIndex === -1 || y < getY(data[minIndex])) {
+              minIndex = j;
+            }
+            if (maxIndex === -1 || y > getY(data[maxIndex])) {
+              maxIndex = j;
+            }
+          }
+
+          if (minIndex === -1) {
+            if (start < end) {
+              result.push(data[start]);
+            }
+          } else if (minIndex === maxIndex) {
+            result.push(data[minIndex]);
+          } else {
+            result.push(data[Math.min(minIndex, maxIndex)], data[Math.max(minIndex, maxIndex)]);
+          }
+        }
+
+        result.push(data[data.length - 1]);
+        return result;
+      }
+
+      /**
+       * Reduce points with a downsampling method
+       */
+      function reduce(data, xs, maxPoints, method) {
+        if (data.length <= maxPoints) {
           return data;
         }
+        if (maxPoints < 3) {
+          return maxPoints > 1 ? [data[0], data[data.length - 1]] : data.slice(0, maxPoints);
+        }
+
+        switch (method) {
+          case 'lttb':
+            return lttb(data, xs, maxPoints);
+          case 'minmax':
+            return minMax(data, maxPoints);
+          default:
+            return everyNth(data, maxPoints);
+        }
+      }
 
+      /**
+       * Keep every nth point and the last point
+       */
+      function everyNth(data, maxPoints) {
         var step = Math.ceil(data.length / maxPoints);
         var result = [];
 
@@ -181,6 +354,64 @@
         return result;
       }
 
+      /**
+       * Downsamples data for rendering.
+       *
+       * Methods:
+       *   - 'nth' (default): keeps every nth point
+       *   - 'lttb': Largest-Triangle-Three-Buckets, keeps the visual shape and spikes
+       *   - 'minmax': keeps the lowest and highest point of each bucket
+       *
+       * Data can be { x, y } points, [x, y] arrays or y values, sorted by x.
+       * With options.xMin and options.xMax, maxPoints are kept within that
+       * range and the points outside it are kept at the density of the whole
+       * data, so a zoomed-in range is shown at full resolution.
+       *
+       * @param {Array} data - The data array
+       * @param {number} maxPoints - Maximum number of points to keep
+       * @param {string|Object} [options] - Method, or { method, xMin, xMax }
+       * @returns {Array} Downsampled data
+       */
+      function downsample(data, maxPoints, options) {
+        options = angular.isString(options) ? { method: options } : options || {};
+
+        if (!data || data.length <= maxPoints) {
+          return data;
+        }
+
+        var method = options.method || 'nth';
+        var xs = method === 'lttb' || options.xMin !== undefined || options.xMax !== undefined ?
+          getXValues(data) : null;
+
+        if (options.xMin === undefined && options.xMax === undefined) {
+          return reduce(data, xs, maxPoints, method);
+        }
+
+        var xMin = options.xMin === undefined || options.xMin === null ? -Infinity : +options.xMin;
+        var xMax = options.xMax === undefined || options.xMax === null ? Infinity : +options.xMax;
+        var start = 0;
+        var end = data.length;
+
+        while (start < data.length && xs[start] < xMin) {
+          start++;
+        }
+        while (end > start && xs[end - 1] > xMax) {
+          end--;
+        }
+
+        // Keep at least the ends of the ranges outside the visible range
+        var density = maxPoints / data.length;
+        var outside = function(from, to) {
+          var count = to - from;
+          return count ? reduce(data.slice(from, to), xs && xs.slice(from, to),
+            Math.max(2, Math.round(count * density)), method) : [];
+        };
+
+        return outside(0, start)
+          .concat(reduce(data.slice(start, end), xs.slice(start, end), maxPoints, method))
+          .concat(outside(end, data.length));
+      }
+
       /**
        * Checks if two values are shallowly equal.
        *
@@ -227,6 +458,13 @@
         downsample: downsample,
         shallowEqual: shallowEqual
       };
+    }];
+
+  // downsample() is also available in jscDataService.worker()
+  angular.module('jsc.angular.core')
+    .factory('jscPerformance', performanceUtils)
+    .config(['jscWorkerProvider', function(jscWorkerProvider) {
+      jscWorkerProvider.register('jscPerformance', performanceUtils);
     }]);
 
 })(angular);
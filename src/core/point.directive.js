@@ -0,0 +1,98 @@
+/**
+ * JSCharting AngularJS Point Directive
+ *
+ * Declares a single point as a child element of jsc-series. Changes to
+ * the point attributes are pushed to the chart as point updates.
+ *
+ * Usage:
+ *   <jsc-series jsc-name="Sales">
+ *     <jsc-point
+ *       ng-repeat="p in vm.sales"
+ *       jsc-x="p.month"
+ *       jsc-y="p.value"
+ *       jsc-color="{{p.value > 100 ? 'green' : 'red'}}">
+ *     </jsc-point>
+ *   </jsc-series>
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .directive('jscPoint', [function() {
+
+      // Counter for generated point ids
+      var pointCounter = 0;
+
+      return {
+        restrict: 'E',
+        require: '^^jscSeries',
+        scope: {
+          pointId: '@?jscId',
+          name: '@?jscName',
+          x: '<?jscX',
+          y: '<?jscY',
+          z: '<?jscZ',
+          color: '@?jscColor',
+          options: '<?jscOptions'
+        },
+
+        link: function(scope, element, attrs, seriesCtrl) {
+          // Point id is read once; it identifies the point in the chart
+          var id = scope.pointId || 'jscPoint' + (++pointCounter);
+
+          /**
+           * Build point configuration from scope bindings
+           */
+          function buildConfig() {
+            var config = angular.copy(scope.options) || {};
+
+            config.id = id;
+
+            if (scope.name) {
+              config.name = scope.name;
+            }
+            if (scope.x !== undefined) {
+              config.x = scope.x;
+            }
+            if (scope.y !== undefined) {
+              config.y = scope.y;
+            }
+            if (scope.z !== undefined) {
+              config.z = scope.z;
+            }
+            if (scope.color) {
+              config.color = scope.color;
+            }
+
+            return config;
+          }
+
+          var entry = {
+            id: id,
+            getConfig: buildConfig
+          };
+
+          seriesCtrl.registerPoint(entry);
+
+          // Watch for attribute changes
+          scope.$watchGroup(['name', 'x', 'y', 'z', 'color'], function(newVals, oldVals) {
+            if (newVals !== oldVals) {
+              seriesCtrl.pointChanged(entry);
+            }
+          });
+
+          scope.$watch('options', function(newVal, oldVal) {
+            if (newVal !== oldVal) {
+              seriesCtrl.pointChanged(entry);
+            }
+          }, true);
+
+          // Cleanup
+          scope.$on('$destroy', function() {
+            seriesCtrl.unregisterPoint(entry);
+          });
+        }
+      };
+    }]);
+
+})(angular);
@@ -0,0 +1,270 @@
+/**
+ * JSCharting AngularJS Responsive Service
+ *
+ * Redraws charts when their container is resized and applies responsive
+ * rules (jsc-responsive) when the container crosses a breakpoint.
+ *
+ * A rule applies its options while all of its size conditions match:
+ *   [
+ *     { maxWidth: 500, options: { legend: { visible: false } } },
+ *     { minWidth: 501, maxWidth: 900, options: { legend: { position: 'bottom' } } }
+ *   ]
+ *
+ * Supported conditions are minWidth, maxWidth, minHeight and maxHeight (in pixels).
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .factory('jscResponsive', ['$window', 'jscConfig', 'jscPerformance', function($window, jscConfig, jscPerformance) {
+
+      /**
+       * Get the size of an element
+       * @param {HTMLElement} element
+       * @returns {{width: number, height: number}}
+       */
+      function getSize(element) {
+        var rect = element.getBoundingClientRect();
+        return {
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        };
+      }
+
+      /**
+       * Check whether a rule's conditions match a size
+       */
+      function ruleMatches(rule, size) {
+        if (rule.minWidth !== undefined && size.width < rule.minWidth) return false;
+        if (rule.maxWidth !== undefined && size.width > rule.maxWidth) return false;
+        if (rule.minHeight !== undefined && size.height < rule.minHeight) return false;
+        if (rule.maxHeight !== undefined && size.height > rule.maxHeight) return false;
+        return true;
+      }
+
+      /**
+       * Get the rules matching a size
+       * @param {Array} rules - Responsive rules
+       * @param {{width: number, height: number}} size - Container size
+       * @returns {Array} Matching rules, in declaration order
+       */
+      function matchRules(rules, size) {
+        if (!angular.isArray(rules)) {
+          return [];
+        }
+        return rules.filter(function(rule) {
+          return rule && rule.options && ruleMatches(rule, size);
+        });
+      }
+
+      /**
+       * Merge the options of the given rules into a config
+       * @param {Object} config - Chart configuration (modified)
+       * @param {Array} rules - Rules to merge
+       * @returns {Object} The config
+       */
+      function mergeRules(config, rules) {
+        rules.forEach(function(rule) {
+          angular.merge(config, angular.copy(rule.options));
+        });
+        return config;
+      }
+
+      /**
+       * Get the paths of all values set by an options object
+       */
+      function getPaths(options, prefix, paths) {
+        paths = paths || [];
+        angular.forEach(options, function(value, key) {
+          var path = (prefix || []).concat(key);
+          if (angular.isObject(value) && !angular.isArray(value) && !angular.isFunction(value)) {
+            getPaths(value, path, paths);
+          } else {
+            paths.push(path);
+          }
+        });
+        return paths;
+      }
+
+      /**
+       * Get a nested value by path
+       */
+      function getPath(object, path) {
+        for (var i = 0; i < path.length; i++) {
+          if (!angular.isObject(object)) {
+            return undefined;
+          }
+          object = object[path[i]];
+        }
+        return object;
+      }
+
+      /**
+       * Set a nested value by path, creating intermediate objects
+       */
+      function setPath(object, path, value) {
+        for (var i = 0; i < path.length - 1; i++) {
+          object = object[path[i]] = angular.isObject(object[path[i]]) ? object[path[i]] : {};
+        }
+        object[path[path.length - 1]] = angular.copy(value);
+      }
+
+      /**
+       * Build the options that undo removed rules and apply the active ones.
+       * Values the base config does not define are set to null, which
+       * restores the chart's default.
+       * @returns {Object} Options
+       */
+      function getRuleChange(baseConfig, removedRules, activeRules) {
+        var change = {};
+        removedRules.forEach(function(rule) {
+          getPaths(rule.options).forEach(function(path) {
+            var value = getPath(baseConfig, path);
+            setPath(change, path, value === undefined ? null : value);
+          });
+        });
+
+        return mergeRules(change, activeRules);
+      }
+
+      /**
+       * Observe size changes of an element
+       * @param {HTMLElement} element - Element to observe
+       * @param {Function} callback - Called with the new size
+       * @returns {Function} Function that stops observing
+       */
+      function observe(element, callback) {
+        var lastSize = null;
+
+        var notify = jscPerformance.debounce(function() {
+          var size = getSize(element);
+
+          // Ignore hidden containers and notifications without a size change
+          if (!size.width || !size.height || angular.equals(size, lastSize)) {
+            return;
+          }
+          lastSize = size;
+          callback(size);
+        }, jscConfig.getEventDebounceTime());
+
+        lastSize = getSize(element);
+
+        if (typeof $window.ResizeObserver === 'function') {
+          var observer = new $window.ResizeObserver(function() {
+            notify();
+          });
+          observer.observe(element);
+          return function() {
+            observer.disconnect();
+          };
+        }
+
+        // Fall back to window resizes in browsers without ResizeObserver
+        $window.addEventListener('resize', notify);
+        return function() {
+          $window.removeEventListener('resize', notify);
+        };
+      }
+
+      /**
+       * Make a chart directive responsive. The chart is redrawn when the
+       * container is resized and responsive rules are merged in or removed
+       * when the container crosses a breakpoint.
+       *
+       * @param {HTMLElement} element - Chart container
+       * @param {Object} handlers
+       * @param {Function} handlers.getChart - Returns the current chart instance
+       * @param {Function} handlers.getRules - Returns the responsive rules
+       * @returns {Object} Tracker with apply(config, keys), refresh() and destroy()
+       */
+      function attach(element, handlers) {
+        var activeRules = [];
+        var baseConfig = {};
+
+        /**
+         * Re-evaluate the rules against a size and update the chart
+         */
+        function refresh(size, resized) {
+          var chart = handlers.getChart();
+          if (!chart) {
+            return;
+          }
+
+          size = size || getSize(element);
+          var rules = matchRules(handlers.getRules(), size);
+
+          if (angular.equals(rules, activeRules)) {
+            if (resized && typeof chart.redraw === 'function') {
+              chart.redraw();
+            }
+            return;
+          }
+
+          var removed = activeRules.filter(function(rule) {
+            return !rules.some(function(active) {
+              return angular.equals(active, rule);
+            });
+          });
+          var change = getRuleChange(baseConfig, removed, rules);
+
+          activeRules = angular.copy(rules);
+
+          try {
+            chart.options(change);
+          } catch (e) {
+            console.warn('Error applying responsive rules:', e);
+          }
+        }
+
+        var stop = observe(element, function(size) {
+          refresh(size, true);
+        });
+
+        return {
+          /**
+           * Merge the rules matching the current size into a config
+           * @param {Object} config - Chart configuration (modified)
+           * @param {Array<string>} [keys] - Config keys being re-applied to the
+           *   loaded chart; the active rules are merged without matching again
+           * @returns {Object} The config
+           */
+          apply: function(config, keys) {
+            if (keys) {
+              keys.forEach(function(key) {
+                baseConfig[key] = angular.copy(config[key]);
+              });
+              return mergeRules(config, activeRules);
+            }
+
+            // Series data is not needed to undo rules and can be large
+            baseConfig = angular.copy(angular.extend({}, config, { series: undefined }));
+            activeRules = angular.copy(matchRules(handlers.getRules(), getSize(element)));
+            return mergeRules(config, activeRules);
+          },
+
+          /**
+           * Re-evaluate the rules (e.g. after they changed)
+           */
+          refresh: function() {
+            refresh(null, false);
+          },
+
+          /**
+           * Stop observing the container
+           */
+          destroy: function() {
+            stop();
+          }
+        };
+      }
+
+      return {
+        getSize: getSize,
+        matchRules: matchRules,
+        mergeRules: mergeRules,
+        observe: observe,
+        attach: attach
+      };
+    }]);
+
+})(angular);
@@ -0,0 +1,335 @@
+/**
+ * JSCharting AngularJS Series Diff Service
+ *
+ * Computes incremental updates between two series arrays so charts can be
+ * updated with series/point add, update and remove calls instead of
+ * replacing all series (which redraws everything and resets hover state).
+ *
+ * Series are matched by id (or name), points by id, x value or position.
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .factory('jscSeriesDiff', ['jscPerformance', function(jscPerformance) {
+
+      /**
+       * Get the key identifying a series
+       * @returns {string|null} Key, or null if the series has no id or name
+       */
+      function getSeriesKey(series) {
+        if (series.id !== undefined && series.id !== null) {
+          return 'id:' + series.id;
+        }
+        if (series.name !== undefined && series.name !== null) {
+          return 'name:' + series.name;
+        }
+        return null;
+      }
+
+      /**
+       * Get the value used to look up a series in the chart
+       */
+      function getSeriesTarget(series, index) {
+        if (series.id !== undefined && series.id !== null) {
+          return series.id;
+        }
+        if (series.name !== undefined && series.name !== null) {
+          return series.name;
+        }
+        return index;
+      }
+
+      /**
+       * Get the key identifying a point within its series
+       */
+      function getPointKey(point, index) {
+        if (angular.isArray(point)) {
+          return point.length > 1 ? 'x:' + jscPerformance.computeHash(point[0]) : 'i:' + index;
+        }
+        if (point && typeof point === 'object') {
+          if (point.id !== undefined && point.id !== null) {
+            return 'id:' + point.id;
+          }
+          if (point.x !== undefined) {
+            return 'x:' + jscPerformance.computeHash(point.x);
+          }
+          if (point.name !== undefined) {
+            return 'name:' + point.name;
+          }
+        }
+        return 'i:' + index;
+      }
+
+      /**
+       * Get point keys, falling back to positions when keys are not unique
+       */
+      function getPointKeys(points) {
+        var seen = {};
+        var keys = points.map(function(point, index) {
+          return getPointKey(point, index);
+        });
+
+        for (var i = 0; i < keys.length; i++) {
+          if (seen[keys[i]]) {
+            return points.map(function(point, index) {
+              return 'i:' + index;
+            });
+          }
+          seen[keys[i]] = true;
+        }
+
+        return keys;
+      }
+
+      /**
+       * Convert a point value to options accepted by point.options()
+       * @returns {Object|null} Options, or null if the point cannot be mapped
+       */
+      function toPointOptions(point) {
+        if (angular.isArray(point)) {
+          return point.length === 2 ? { x: point[0], y: point[1] } : null;
+        }
+        if (typeof point === 'number') {
+          return { y: point };
+        }
+        if (point && typeof point === 'object') {
+          return point;
+        }
+        return null;
+      }
+
+      /**
+       * Get series options without points
+       */
+      function getSeriesOptions(series) {
+        var options = angular.extend({}, series);
+        delete options.points;
+        return options;
+      }
+
+      /**
+       * Diff the points of a matched series. New points can only be added
+       * at the end of a live series, so the points are replaced when points
+       * are inserted before existing ones or reordered.
+       * @returns {Array|null} Operations, or null to replace all points
+       */
+      function diffPoints(target, oldPoints, newPoints) {
+        var oldKeys = getPointKeys(oldPoints);
+        var newKeys = getPointKeys(newPoints);
+        var oldIndex = {};
+        var newIndex = {};
+        var operations = [];
+        var i;
+
+        oldKeys.forEach(function(key, index) {
+          oldIndex[key] = index;
+        });
+        newKeys.forEach(function(key, index) {
+          newIndex[key] = index;
+        });
+
+        // Remove from the end so earlier indices stay valid
+        var working = oldKeys.slice();
+        for (i = oldKeys.length - 1; i >= 0; i--) {
+          if (newIndex[oldKeys[i]] === undefined) {
+            operations.push({
+              type: 'removePoint',
+              series: target,
+              index: i,
+              id: oldPoints[i] && oldPoints[i].id
+            });
+            working.splice(i, 1);
+          }
+        }
+
+        // Kept points must stay in order, followed by the added points
+        var kept = newKeys.filter(function(key) {
+          return oldIndex[key] !== undefined;
+        });
+        if (!angular.equals(kept, working) || newKeys.slice(0, kept.length).some(function(key) {
+          return oldIndex[key] === undefined;
+        })) {
+          return null;
+        }
+
+        for (i = 0; i < newPoints.length; i++) {
+          var key = newKeys[i];
+
+          if (oldIndex[key] === undefined) {
+            operations.push({
+              type: 'addPoint',
+              series: target,
+              point: newPoints[i]
+            });
+          } else if (jscPerformance.computeHash(oldPoints[oldIndex[key]]) !== jscPerformance.computeHash(newPoints[i])) {
+            var options = toPointOptions(newPoints[i]);
+            if (!options) {
+              return null;
+            }
+            operations.push({
+              type: 'updatePoint',
+              series: target,
+              index: working.indexOf(key),
+              id: newPoints[i] && newPoints[i].id,
+              options: options
+            });
+          }
+        }
+
+        // Replacing the points is cheaper when most of them changed
+        if (operations.length > 1 && operations.length > newPoints.length / 2) {
+          return null;
+        }
+
+        return operations;
+      }
+
+      /**
+       * Compute the operations that turn oldSeries into newSeries
+       *
+       * @param {Array} oldSeries - Series currently rendered
+       * @param {Array} newSeries - New series
+       * @returns {Array|null} Operations, or null if a full series replace is required
+       */
+      function diff(oldSeries, newSeries) {
+        oldSeries = oldSeries || [];
+        newSeries = newSeries || [];
+
+        var oldByKey = {};
+        var newByKey = {};
+        var membershipChanged = oldSeries.length !== newSeries.length;
+        var operations = [];
+        var i;
+
+        for (i = 0; i < oldSeries.length; i++) {
+          var oldKey = getSeriesKey(oldSeries[i]) || 'index:' + i;
+          if (oldByKey[oldKey]) {
+            return null;
+          }
+          oldByKey[oldKey] = { series: oldSeries[i], index: i };
+        }
+
+        for (i = 0; i < newSeries.length; i++) {
+          var newKey = getSeriesKey(newSeries[i]) || 'index:' + i;
+          if (newByKey[newKey]) {
+            return null;
+          }
+          newByKey[newKey] = { series: newSeries[i], index: i };
+          if (!oldByKey[newKey]) {
+            membershipChanged = true;
+          }
+        }
+
+        // Series without id or name can only be matched by position
+        if (membershipChanged) {
+          var unkeyed = oldSeries.concat(newSeries).some(function(series) {
+            return getSeriesKey(series) === null;
+          });
+          if (unkeyed) {
+            return null;
+          }
+        }
+
+        angular.forEach(oldByKey, function(entry, key) {
+          if (!newByKey[key]) {
+            operations.push({
+              type: 'removeSeries',
+              series: getSeriesTarget(entry.series, entry.index)
+            });
+          }
+        });
+
+        for (i = 0; i < newSeries.length; i++) {
+          var series = newSeries[i];
+          var key = getSeriesKey(series) || 'index:' + i;
+          var previous = oldByKey[key];
+
+          if (!previous) {
+            operations.push({ type: 'addSeries', options: series });
+            continue;
+          }
+
+          var target = getSeriesTarget(series, i);
+          var options = getSeriesOptions(series);
+
+          if (jscPerformance.computeHash(getSeriesOptions(previous.series)) !== jscPerformance.computeHash(options)) {
+            operations.push({ type: 'updateSeries', series: target, options: options });
+          }
+
+          var pointOperations = diffPoints(target, previous.series.points || [], series.points || []);
+          if (pointOperations) {
+            operations = operations.concat(pointOperations);
+          } else {
+            operations.push({ type: 'replacePoints', series: target, points: series.points || [] });
+          }
+        }
+
+        return operations;
+      }
+
+      /**
+       * Get a live point by id or position
+       */
+      function getLivePoint(series, operation) {
+        if (operation.id !== undefined && operation.id !== null) {
+          return series.points(operation.id);
+        }
+        return series.points(operation.index);
+      }
+
+      /**
+       * Apply diff operations to a chart
+       *
+       * @param {Object} chart - Chart instance
+       * @param {Array} operations - Operations returned by diff()
+       * @throws {Error} If a series or point referenced by an operation is not found
+       */
+      function apply(chart, operations) {
+        operations.forEach(function(operation) {
+          if (operation.type === 'addSeries') {
+            chart.series.add(angular.copy(operation.options));
+            return;
+          }
+
+          var series = chart.series(operation.series);
+          if (!series) {
+            throw new Error('Series not found: ' + operation.series);
+          }
+
+          switch (operation.type) {
+            case 'removeSeries':
+              series.remove();
+              break;
+            case 'updateSeries':
+              series.options(operation.options);
+              break;
+            case 'replacePoints':
+              series.options({ points: operation.points });
+              break;
+            case 'addPoint':
+              series.points.add(angular.copy(operation.point));
+              break;
+            case 'updatePoint':
+            case 'removePoint':
+              var point = getLivePoint(series, operation);
+              if (!point) {
+                throw new Error('Point not found in series: ' + operation.series);
+              }
+              if (operation.type === 'updatePoint') {
+                point.options(operation.options);
+              } else {
+                point.remove();
+              }
+              break;
+          }
+        });
+      }
+
+      return {
+        diff: diff,
+        apply: apply
+      };
+    }]);
+
+})(angular);
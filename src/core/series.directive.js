@@ -0,0 +1,200 @@
+/**
+ * JSCharting AngularJS Series Directive
+ *
+ * Declares a series as a child element of jsc-chart. The series is merged
+ * into the parent chart configuration and updated incrementally when its
+ * attributes change. Points can be bound with jsc-points and/or declared
+ * as jsc-point child elements.
+ *
+ * Usage:
+ *   <jsc-chart jsc-type="line">
+ *     <jsc-series
+ *       ng-repeat="s in vm.regions"
+ *       jsc-id="{{s.id}}"
+ *       jsc-name="{{s.name}}"
+ *       jsc-points="s.points"
+ *       jsc-y-axis="{{s.axisId}}"
+ *       jsc-options="{ line: { width: 2 } }">
+ *     </jsc-series>
+ *   </jsc-chart>
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .directive('jscSeries', [function() {
+
+      // Counter for generated series ids
+      var seriesCounter = 0;
+
+      return {
+        restrict: 'E',
+        require: ['jscSeries', '^^jscChart'],
+        scope: {
+          seriesId: '@?jscId',
+          name: '@?jscName',
+          type: '@?jscType',
+          color: '@?jscColor',
+          visible: '<?jscVisible',
+          xAxis: '@?jscXAxis',
+          yAxis: '@?jscYAxis',
+          points: '<?jscPoints',
+          options: '<?jscOptions'
+        },
+
+        /**
+         * Controller used by jsc-point children to register with the series
+         */
+        controller: [function() {
+          var points = [];
+          var chartCtrl = null;
+          var seriesEntry = null;
+
+          /**
+           * Connect the series to its parent chart controller
+           * @param {Object} ctrl - jscChart controller
+           * @param {Object} entry - Series entry registered with the chart
+           */
+          this.connect = function(ctrl, entry) {
+            chartCtrl = ctrl;
+            seriesEntry = entry;
+          };
+
+          /**
+           * Disconnect from the chart (series removed)
+           */
+          this.disconnect = function() {
+            chartCtrl = null;
+            seriesEntry = null;
+          };
+
+          /**
+           * Get configurations of all child points
+           * @returns {Array} Point configurations
+           */
+          this.getPointConfigs = function() {
+            return points.map(function(entry) {
+              return entry.getConfig();
+            });
+          };
+
+          /**
+           * Register a child point
+           * @param {Object} entry - Point entry ({ id, getConfig() })
+           */
+          this.registerPoint = function(entry) {
+            points.push(entry);
+            if (chartCtrl) {
+              chartCtrl.addPoint(seriesEntry, entry);
+            }
+          };
+
+          /**
+           * Unregister a child point
+           * @param {Object} entry - Point entry
+           */
+          this.unregisterPoint = function(entry) {
+            var index = points.indexOf(entry);
+            if (index === -1) {
+              return;
+            }
+            points.splice(index, 1);
+            if (chartCtrl) {
+              chartCtrl.removePoint(seriesEntry, entry);
+            }
+          };
+
+          /**
+           * Notify that a child point changed
+           * @param {Object} entry - Point entry
+           */
+          this.pointChanged = function(entry) {
+            if (chartCtrl) {
+              chartCtrl.updatePoint(seriesEntry, entry);
+            }
+          };
+        }],
+
+        link: function(scope, element, attrs, ctrls) {
+          var seriesCtrl = ctrls[0];
+          var chartCtrl = ctrls[1];
+
+          // Series id is read once; it identifies the series in the chart
+          var id = scope.seriesId || 'jscSeries' + (++seriesCounter);
+
+          /**
+           * Build series configuration from scope bindings
+           * @param {boolean} [includePoints] - Include bound and child points
+           */
+          function buildConfig(includePoints) {
+            var config = angular.copy(scope.options) || {};
+
+            config.id = id;
+
+            if (scope.name) {
+              config.name = scope.name;
+            }
+            if (scope.type) {
+              config.type = scope.type;
+            }
+            if (scope.color) {
+              config.color = scope.color;
+            }
+            if (scope.visible !== undefined) {
+              config.visible = scope.visible;
+            }
+            if (scope.xAxis) {
+              config.xAxis = scope.xAxis;
+            }
+            if (scope.yAxis) {
+              config.yAxis = scope.yAxis;
+            }
+
+            if (includePoints) {
+              var points = scope.points ? angular.copy(scope.points) : (config.points || []);
+              config.points = points.concat(seriesCtrl.getPointConfigs());
+            } else {
+              delete config.points;
+            }
+
+            return config;
+          }
+
+          var entry = {
+            id: id,
+            getConfig: buildConfig
+          };
+
+          chartCtrl.registerSeries(entry);
+          seriesCtrl.connect(chartCtrl, entry);
+
+          // Watch simple attributes (options only, points untouched)
+          scope.$watchGroup(['name', 'type', 'color', 'visible', 'xAxis', 'yAxis'], function(newVals, oldVals) {
+            if (newVals !== oldVals) {
+              chartCtrl.updateSeries(entry, false);
+            }
+          });
+
+          scope.$watch('options', function(newVal, oldVal) {
+            if (newVal !== oldVal) {
+              chartCtrl.updateSeries(entry, false);
+            }
+          }, true);
+
+          // Bound points replace the series points
+          scope.$watch('points', function(newVal, oldVal) {
+            if (newVal !== oldVal) {
+              chartCtrl.updateSeries(entry, true);
+            }
+          }, true);
+
+          // Cleanup
+          scope.$on('$destroy', function() {
+            seriesCtrl.disconnect();
+            chartCtrl.unregisterSeries(entry);
+          });
+        }
+      };
+    }]);
+
+})(angular);
@@ -0,0 +1,179 @@
+/**
+ * JSCharting AngularJS State Overlay Service
+ *
+ * Renders loading, empty and error templates over a chart container
+ * (jsc-loading-template, jsc-empty-template, jsc-error-template).
+ *
+ * A template is a template URL or $templateCache id (e.g. a
+ * <script type="text/ng-template"> element). It is compiled in a child of
+ * the scope the chart element is declared in, with these additions:
+ *   - $state: 'loading', 'empty' or 'error'
+ *   - $error: The error (error state only)
+ *   - $retry(): Re-runs chart initialization
+ *
+ * Usage:
+ *   <jsc-chart
+ *     jsc-series="vm.series"
+ *     jsc-loading-template="templates/chart-loading.html"
+ *     jsc-empty-template="templates/no-data.html"
+ *     jsc-error-template="templates/chart-error.html">
+ *   </jsc-chart>
+ *
+ *   <!-- templates/chart-error.html -->
+ *   <p>Could not load the chart: {{$error.message}}</p>
+ *   <button ng-click="$retry()">Retry</button>
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .factory('jscStateOverlay', ['$compile', '$templateRequest', '$window', function($compile, $templateRequest, $window) {
+
+      /**
+       * Check whether any series has points or a config has data
+       * @param {Object} config - Object with optional series and data properties
+       * @returns {boolean}
+       */
+      function hasData(config) {
+        if (config.data && (!angular.isArray(config.data) || config.data.length)) {
+          return true;
+        }
+        return (config.series || []).some(function(series) {
+          return series && series.points && series.points.length > 0;
+        });
+      }
+
+      /**
+       * Get the data state of a chart
+       * @param {Object} config - Object with optional series and data properties
+       * @param {boolean} [isWaiting] - Whether a data binding is still undefined
+       * @returns {string} 'ready', 'empty', or 'loading' while waiting on data
+       */
+      function getDataState(config, isWaiting) {
+        if (hasData(config)) {
+          return 'ready';
+        }
+        return isWaiting ? 'loading' : 'empty';
+      }
+
+      /**
+       * Attach a state overlay to a chart container
+       *
+       * @param {jqLite} element - Chart container
+       * @param {Object} scope - Directive scope; templates are compiled in a child of its parent
+       * @param {Function} getTemplate - Returns the template for a state, if any
+       * @param {Function} retry - Called by $retry()
+       * @returns {Object} Overlay with setState(state, error), getState() and destroy()
+       */
+      function attach(element, scope, getTemplate, retry) {
+        var state = null;
+        var overlayElement = null;
+        var overlayScope = null;
+        var requestId = 0;
+
+        /**
+         * Remove the current overlay
+         */
+        function clear() {
+          if (overlayScope) {
+            overlayScope.$destroy();
+            overlayScope = null;
+          }
+          if (overlayElement) {
+            overlayElement.remove();
+            overlayElement = null;
+          }
+        }
+
+        /**
+         * Show the overlay, re-adding it if the chart replaced the container contents
+         */
+        function show() {
+          if ($window.getComputedStyle(element[0]).position === 'static') {
+            element.css('position', 'relative');
+          }
+          if (!element[0].contains(overlayElement[0])) {
+            element.append(overlayElement);
+          }
+        }
+
+        /**
+         * Set the current state
+         * @param {string} newState - 'loading', 'empty', 'error' or 'ready'
+         * @param {*} [error] - Error for the error state
+         */
+        function setState(newState, error) {
+          if (newState === state && newState !== 'error') {
+            if (overlayElement) {
+              show();
+            }
+            return;
+          }
+
+          state = newState;
+          clear();
+
+          var template = newState !== 'ready' && getTemplate(newState);
+          var id = ++requestId;
+
+          if (!template) {
+            return;
+          }
+
+          $templateRequest(template).then(function(html) {
+            // A newer state was set while the template was loading
+            if (id !== requestId) {
+              return;
+            }
+
+            overlayScope = scope.$parent.$new();
+            overlayScope.$state = newState;
+            overlayScope.$error = error;
+            overlayScope.$retry = retry;
+
+            overlayElement = angular.element('<div class="jsc-state-overlay jsc-state-' + newState + '"></div>');
+            overlayElement.css({
+              position: 'absolute',
+              top: 0,
+              right: 0,
+              bottom: 0,
+              left: 0,
+              zIndex: 10
+            });
+            overlayElement.html(html);
+            show();
+            $compile(overlayElement.contents())(overlayScope);
+          }).catch(function(e) {
+            console.warn('Error loading ' + newState + ' template:', e);
+          });
+        }
+
+        return {
+          setState: setState,
+
+          /**
+           * Get the current state
+           * @returns {string|null}
+           */
+          getState: function() {
+            return state;
+          },
+
+          /**
+           * Remove the overlay
+           */
+          destroy: function() {
+            requestId++;
+            clear();
+          }
+        };
+      }
+
+      return {
+        hasData: hasData,
+        getDataState: getDataState,
+        attach: attach
+      };
+    }]);
+
+})(angular);
@@ -0,0 +1,497 @@
+/**
+ * JSCharting AngularJS Statistics Service
+ *
+ * Statistical helpers available as jscDataService.stats: regression
+ * trendlines with R², percentiles and quartiles, histogram binning and
+ * box and whisker summaries. Does not depend on the JSCharting library.
+ *
+ * Values are arrays of numbers; null, undefined and NaN values are ignored.
+ * Regression takes { x, y } points or [x, y] arrays, with x as a number or
+ * a Date.
+ *
+ * Usage:
+ *   var trend = jscDataService.stats.regression(points, { type: 'polynomial', order: 2 });
+ *   vm.series = [{ name: 'Sales', points: points }, trend.series];
+ *   vm.r2 = trend.r2;
+ *
+ *   vm.boxSeries = [{
+ *     name: 'Response times',
+ *     type: 'column',
+ *     points: jscDataService.stats.boxWhiskerPoints([{ x: 'Mon', values: monday }, { x: 'Tue', values: tuesday }])
+ *   }];
+ */
+(function(angular) {
+  'use strict';
+
+  var statistics = ['JscError',
+    function(JscError) {
+
+      /**
+       * Create an invalid argument error
+       */
+      function invalid(message) {
+        return new JscError(JscError.INVALID_ARGUMENT, message);
+      }
+
+      /**
+       * Get the numbers of a list of values, sorted ascending
+       * @param {Array} values
+       * @returns {Array<number>}
+       */
+      function sortedNumbers(values) {
+        if (values !== undefined && values !== null && !angular.isArray(values)) {
+          throw invalid('Values are not an array');
+        }
+        return (values || []).filter(function(value) {
+          return typeof value === 'number' && !isNaN(value);
+        }).sort(function(a, b) {
+          return a - b;
+        });
+      }
+
+      function mean(values) {
+        var sum = 0;
+        values.forEach(function(value) {
+          sum += value;
+        });
+        return values.length ? sum / values.length : null;
+      }
+
+      /**
+       * Get a percentile of sorted numbers, interpolating between the
+       * closest ranks (like Excel PERCENTILE.INC)
+       */
+      function sortedPercentile(sorted, p) {
+        if (!sorted.length) {
+          return null;
+        }
+
+        var rank = (sorted.length - 1) * p / 100;
+        var lower = Math.floor(rank);
+        var upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+      }
+
+      /**
+       * Get a percentile
+       * @param {Array<number>} values - Values
+       * @param {number} p - Percentile, 0 to 100
+       * @returns {number|null} The percentile, or null without values
+       */
+      function percentile(values, p) {
+        if (typeof p !== 'number' || p < 0 || p > 100) {
+          throw invalid('Percentile must be between 0 and 100: ' + p);
+        }
+        return sortedPercentile(sortedNumbers(values), p);
+      }
+
+      /**
+       * Get the quartiles of values
+       * @param {Array<number>} values - Values
+       * @returns {Object} { q1, median, q3, iqr }
+       */
+      function quartiles(values) {
+        var sorted = sortedNumbers(values);
+        var q1 = sortedPercentile(sorted, 25);
+        var q3 = sortedPercentile(sorted, 75);
+
+        return {
+          q1: q1,
+          median: sortedPercentile(sorted, 50),
+          q3: q3,
+          iqr: sorted.length ? q3 - q1 : null
+        };
+      }
+
+      /**
+       * Get a box and whisker summary. Whiskers extend to the furthest values
+       * within options.whisker times the interquartile range of the
+       * quartiles; values beyond them are outliers.
+       *
+       * @param {Array<number>} values - Values
+       * @param {Object} [options]
+       * @param {number} [options.whisker=1.5] - Whisker length in interquartile ranges
+       * @returns {Object} { count, min, q1, median, q3, max, mean, iqr,
+       *   lowerWhisker, upperWhisker, outliers }
+       */
+      function boxWhisker(values, options) {
+        options = options || {};
+
+        var sorted = sortedNumbers(values);
+        var whisker = options.whisker === undefined ? 1.5 : options.whisker;
+        var q = quartiles(sorted);
+
+        if (!sorted.length) {
+          return angular.extend(q, {
+            count: 0, min: null, max: null, mean: null,
+            lowerWhisker: null, upperWhisker: null, outliers: []
+          });
+        }
+
+        var lowerFence = q.q1 - whisker * q.iqr;
+        var upperFence = q.q3 + whisker * q.iqr;
+        var inside = sorted.filter(function(value) {
+          return value >= lowerFence && value <= upperFence;
+        });
+
+        return angular.extend(q, {
+          count: sorted.length,
+          min: sorted[0],
+          max: sorted[sorted.length - 1],
+          mean: mean(sorted),
+          lowerWhisker: inside[0],
+          upperWhisker: inside[inside.length - 1],
+          outliers: sorted.filter(function(value) {
+            return value < lowerFence || value > upperFence;
+          })
+        });
+      }
+
+      /**
+       * Create box and whisker chart points: y is the quartile range,
+       * subvalue.range the whiskers and subvalue.values the outliers
+       *
+       * @param {Array<Object>} groups - { x, values } for each box
+       * @param {Object} [options] - Summary options (see boxWhisker)
+       * @returns {Array<Object>} Points
+       */
+      function boxWhiskerPoints(groups, options) {
+        if (!angular.isArray(groups)) {
+          throw invalid('Box groups are not an array');
+        }
+        return groups.map(function(group) {
+          var box = boxWhisker(group.values, options);
+          return {
+            x: group.x,
+            y: [box.q1, box.q3],
+            subvalue: {
+              range: [box.lowerWhisker, box.upperWhisker],
+              values: box.outliers
+            },
+            attributes: {
+              median: box.median,
+              mean: box.mean,
+              count: box.count
+            }
+          };
+        });
+      }
+
+      /**
+       * Bin values into a histogram
+       *
+       * The bin width is fixed (options.binWidth), derived from a bin count
+       * (options.bins as a number) or from a rule: 'sturges' (the default)
+       * or 'freedman-diaconis' ('fd').
+       *
+       * @param {Array<number>} values - Values
+       * @param {Object} [options]
+       * @param {string|number} [options.bins='sturges'] - Rule or bin count
+       * @param {number} [options.binWidth] - Fixed bin width
+       * @param {number} [options.start] - Start of the first bin; defaults to the minimum
+       * @returns {Object} { bins: [{ x0, x1, count }], binWidth,
+       *   points: [{ x: bin middle, y: count }] }
+       */
+      function histogram(values, options) {
+        options = options || {};
+
+        var sorted = sortedNumbers(values);
+        if (!sorted.length) {
+          return { bins: [], binWidth: null, points: [] };
+        }
+
+        var min = options.start === undefined ? sorted[0] : options.start;
+        var max = sorted[sorted.length - 1];
+        var range = max - min;
+        var width = options.binWidth;
+
+        if (!width) {
+          var rule = options.bins === undefined ? 'sturges' : options.bins;
+          var count;
+
+          if (typeof rule === 'number') {
+            count = rule;
+          } else if (rule === 'sturges') {
+            count = Math.ceil(Math.log(sorted.length) / Math.LN2) + 1;
+          } else if (rule === 'freedman-diaconis' || rule === 'fd') {
+            var iqr = sortedPercentile(sorted, 75) - sortedPercentile(sorted, 25);
+            var fdWidth = 2 * iqr / Math.pow(sorted.length, 1 / 3);
+            count = fdWidth > 0 ? Math.ceil(range / fdWidth) : 1;
+          } else {
+            throw invalid('Unknown histogram bin rule: ' + rule);
+          }
+
+          width = range > 0 ? range / Math.max(1, count) : 1;
+        }
+
+        if (!(width > 0)) {
+          throw invalid('Histogram bin width must be positive: ' + width);
+        }
+
+        var binCount = Math.max(1, Math.ceil(range / width));
+        var bins = [];
+        for (var i = 0; i < binCount; i++) {
+          bins.push({ x0: min + i * width, x1: min + (i + 1) * width, count: 0 });
+        }
+
+        sorted.forEach(function(value) {
+          if (value < min) {
+            return;
+          }
+          // The last bin includes the maximum
+          var index = Math.min(binCount - 1, Math.floor((value - min) / width));
+          bins[index].count++;
+        });
+
+        return {
+          bins: bins,
+          binWidth: width,
+          points: bins.map(function(bin) {
+            return { x: (bin.x0 + bin.x1) / 2, y: bin.count };
+          })
+        };
+      }
+
+      /**
+       * Solve a linear system with Gaussian elimination
+       * @param {Array<Array<number>>} matrix - Augmented matrix (modified)
+       * @returns {Array<number>|null} The solution, or null if singular
+       */
+      function solve(matrix) {
+        var n = matrix.length;
+
+        for (var col = 0; col < n; col++) {
+          var pivot = col;
+          for (var row = col + 1; row < n; row++) {
+            if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+              pivot = row;
+            }
+          }
+          if (Math.abs(matrix[pivot][col]) < 1e-12) {
+            return null;
+          }
+
+          var swap = matrix[col];
+          matrix[col] = matrix[pivot];
+          matrix[pivot] = swap;
+
+          for (row = col + 1; row < n; row++) {
+            var factor = matrix[row][col] / matrix[col][col];
+            for (var k = col; k <= n; k++) {
+              matrix[row][k] -= factor * matrix[col][k];
+            }
+          }
+        }
+
+        var result = new Array(n);
+        for (var i = n - 1; i >= 0; i--) {
+          var sum = matrix[i][n];
+          for (var j = i + 1; j < n; j++) {
+            sum -= matrix[i][j] * result[j];
+          }
+          result[i] = sum / matrix[i][i];
+        }
+        return result;
+      }
+
+      /**
+       * Fit a polynomial by least squares
+       * @param {Array<number>} xs - x values
+       * @param {Array<number>} ys - y values
+       * @param {number} order - Polynomial order
+       * @returns {Array<number>|null} Coefficients from x^0 up
+       */
+      function fitPolynomial(xs, ys, order) {
+        var size = order + 1;
+        var matrix = [];
+
+        for (var row = 0; row < size; row++) {
+          matrix.push(new Array(size + 1).fill(0));
+        }
+
+        xs.forEach(function(x, index) {
+          var powers = [1];
+          for (var p = 1; p <= 2 * order; p++) {
+            powers.push(powers[p - 1] * x);
+          }
+          for (var r = 0; r < size; r++) {
+            for (var c = 0; c < size; c++) {
+              matrix[r][c] += powers[r + c];
+            }
+            matrix[r][size] += powers[r] * ys[index];
+          }
+        });
+
+        return solve(matrix);
+      }
+
+      /**
+       * Convert coefficients of a polynomial in (x - offset) / scale to
+       * coefficients of a polynomial in x
+       */
+      function expandPolynomial(coefficients, offset, scale) {
+        var result = coefficients.map(function() {
+          return 0;
+        });
+
+        coefficients.forEach(function(a, j) {
+          // a * ((x - offset) / scale)^j, expanded with the binomial theorem
+          var binomial = 1;
+          for (var k = 0; k <= j; k++) {
+            if (k > 0) {
+              binomial = binomial * (j - k + 1) / k;
+            }
+            result[j - k] += a * binomial * Math.pow(-offset, k) / Math.pow(scale, j);
+          }
+        });
+
+        return result;
+      }
+
+      /**
+       * Fit a regression and create a trendline
+       *
+       * Types:
+       *   - linear: y = slope * x + intercept
+       *   - polynomial: y = c0 + c1 * x + ... + cn * x^n (options.order, default 2)
+       *   - exponential: y = a * e^(b * x), fitted to points with a positive y
+       *
+       * Date x values are fitted as timestamps; coefficients refer to
+       * timestamps in that case.
+       *
+       * @param {Array} points - { x, y } points or [x, y] arrays
+       * @param {Object} [options]
+       * @param {string} [options.type='linear'] - 'linear', 'polynomial' or 'exponential'
+       * @param {number} [options.order=2] - Polynomial order
+       * @param {string} [options.name] - Trendline series name
+       * @returns {Object} { type, coefficients, r2, predict(x), points, series }
+       */
+      function regression(points, options) {
+        options = options || {};
+
+        if (!angular.isArray(points)) {
+          throw invalid('Points are not an array');
+        }
+
+        var type = options.type || 'linear';
+        var isArray = points.length > 0 && angular.isArray(points[0]);
+        var isDate = false;
+
+        var data = points.map(function(point) {
+          var x = isArray ? point[0] : point.x;
+          var y = isArray ? point[1] : point.y;
+          if (angular.isDate(x)) {
+            isDate = true;
+            x = x.getTime();
+          }
+          return { x: x, y: y };
+        }).filter(function(point) {
+          return typeof point.x === 'number' && !isNaN(point.x) &&
+            typeof point.y === 'number' && !isNaN(point.y) &&
+            (type !== 'exponential' || point.y > 0);
+        }).sort(function(a, b) {
+          return a.x - b.x;
+        });
+
+        var xs = data.map(function(point) {
+          return point.x;
+        });
+        var ys = data.map(function(point) {
+          return point.y;
+        });
+
+        // Fit on standardized x values to keep large values (timestamps) stable
+        var offset = mean(xs) || 0;
+        var scale = Math.sqrt(mean(xs.map(function(x) {
+          return (x - offset) * (x - offset);
+        })) || 0) || 1;
+        var scaled = xs.map(function(x) {
+          return (x - offset) / scale;
+        });
+
+        var coefficients;
+        var predict;
+        var fit;
+
+        if (type === 'linear' || type === 'polynomial') {
+          var order = type === 'linear' ? 1 : options.order || 2;
+          fit = data.length > order ? fitPolynomial(scaled, ys, order) : null;
+          if (fit) {
+            var expanded = expandPolynomial(fit, offset, scale);
+            coefficients = type === 'linear' ? { slope: expanded[1], intercept: expanded[0] } : expanded;
+            predict = function(x) {
+              var t = ((angular.isDate(x) ? x.getTime() : x) - offset) / scale;
+              var y = 0;
+              for (var i = fit.length - 1; i >= 0; i--) {
+                y = y * t + fit[i];
+              }
+              return y;
+            };
+          }
+        } else if (type === 'exponential') {
+          fit = data.length > 1 ? fitPolynomial(scaled, ys.map(Math.log), 1) : null;
+          if (fit) {
+            var b = fit[1] / scale;
+            coefficients = { a: Math.exp(fit[0] - fit[1] * offset / scale), b: b };
+            predict = function(x) {
+              var t = ((angular.isDate(x) ? x.getTime() : x) - offset) / scale;
+              return Math.exp(fit[0] + fit[1] * t);
+            };
+          }
+        } else {
+          throw invalid('Unknown regression type: ' + type);
+        }
+
+        if (!predict) {
+          return { type: type, coefficients: null, r2: null, predict: null, points: [], series: null };
+        }
+
+        // Coefficient of determination, in y units
+        var yMean = mean(ys);
+        var residual = 0;
+        var total = 0;
+        data.forEach(function(point) {
+          residual += Math.pow(point.y - predict(point.x), 2);
+          total += Math.pow(point.y - yMean, 2);
+        });
+        var r2 = total ? 1 - residual / total : 1;
+
+        var trendPoints = data.filter(function(point, index) {
+          return index === 0 || point.x !== data[index - 1].x;
+        }).map(function(point) {
+          var x = isDate ? new Date(point.x) : point.x;
+          var y = predict(point.x);
+          return isArray ? [x, y] : { x: x, y: y };
+        });
+
+        return {
+          type: type,
+          coefficients: coefficients,
+          r2: r2,
+          predict: predict,
+          points: trendPoints,
+          series: {
+            name: options.name || type.charAt(0).toUpperCase() + type.slice(1) + ' trend',
+            type: 'line',
+            points: trendPoints
+          }
+        };
+      }
+
+      return {
+        percentile: percentile,
+        quartiles: quartiles,
+        boxWhisker: boxWhisker,
+        boxWhiskerPoints: boxWhiskerPoints,
+        histogram: histogram,
+        regression: regression
+      };
+    }];
+
+  angular.module('jsc.angular.core')
+    .factory('jscStatistics', statistics)
+    .config(['jscWorkerProvider', function(jscWorkerProvider) {
+      jscWorkerProvider.register('jscStatistics', statistics);
+    }]);
+
+})(angular);
@@ -0,0 +1,478 @@
+/**
+ * JSCharting AngularJS Time Series Service
+ *
+ * Time series helpers used by jscDataService: resampling to an interval,
+ * gap filling, aligning series onto shared timestamps and rolling windows.
+ * Does not depend on the JSCharting library.
+ *
+ * Points are { x, y } objects or [x, y] arrays, with x as a Date, a timestamp
+ * or a date string. Results use the same point form; x values are Dates,
+ * or timestamps when the input x values are numbers.
+ *
+ * Intervals are a unit ('minute', 'hour', 'day', 'week' or 'month'), a
+ * count and unit ('15 minutes', { unit: 'minute', count: 15 }) or a number
+ * of milliseconds. Unit intervals follow the local calendar.
+ *
+ * Usage:
+ *   var daily = jscDataService.resample(points, 'day', 'sum');
+ *   var filled = jscDataService.fillGaps(daily, 'day', 'zero');
+ *   vm.series = jscDataService.align([seriesA, seriesB], { fill: 'previous' });
+ *   var average = jscDataService.rolling(points, 7, 'mean');
+ */
+(function(angular) {
+  'use strict';
+
+  var UNITS = ['minute', 'hour', 'day', 'week', 'month'];
+
+  var INTERVAL_PATTERN = /^\s*(\d+)?\s*(minute|hour|day|week|month)s?\s*$/i;
+
+  // Gap fill methods
+  var FILL_METHODS = ['null', 'zero', 'previous', 'linear'];
+
+  angular.module('jsc.angular.core')
+    .factory('jscTimeSeries', ['jscDataPipeline', 'JscError', function(jscDataPipeline, JscError) {
+
+      /**
+       * Create an invalid argument error
+       */
+      function invalid(message) {
+        return new JscError(JscError.INVALID_ARGUMENT, message);
+      }
+
+      /**
+       * Normalize an interval to { unit, count } or { ms }
+       * @param {string|Object|number} interval
+       * @returns {Object}
+       */
+      function parseInterval(interval) {
+        if (typeof interval === 'number' && interval > 0) {
+          return { ms: interval };
+        }
+
+        if (angular.isString(interval)) {
+          var match = INTERVAL_PATTERN.exec(interval);
+          if (match) {
+            return { unit: match[2].toLowerCase(), count: +(match[1] || 1) };
+          }
+        } else if (angular.isObject(interval) && UNITS.indexOf(interval.unit) !== -1) {
+          return { unit: interval.unit, count: interval.count || 1 };
+        }
+
+        throw invalid('Invalid time series interval: ' + angular.toJson(interval));
+      }
+
+      /**
+       * Get the start of the interval containing a time
+       * @param {number} time - Timestamp
+       * @param {Object} interval - Parsed interval
+       * @param {number} weekStart - First day of the week (0 = Sunday)
+       * @returns {number} Timestamp
+       */
+      function floorTime(time, interval, weekStart) {
+        if (interval.ms) {
+          return Math.floor(time / interval.ms) * interval.ms;
+        }
+
+        var date = new Date(time);
+        var count = interval.count;
+
+        switch (interval.unit) {
+          case 'minute':
+            date.setSeconds(0, 0);
+            date.setMinutes(date.getMinutes() - date.getMinutes() % count);
+            break;
+          case 'hour':
+            date.setMinutes(0, 0, 0);
+            date.setHours(date.getHours() - date.getHours() % count);
+            break;
+          case 'day':
+            date.setHours(0, 0, 0, 0);
+            date.setDate(date.getDate() - (date.getDate() - 1) % count);
+            break;
+          case 'week':
+            date.setHours(0, 0, 0, 0);
+            date.setDate(date.getDate() - (date.getDay() - weekStart + 7) % 7);
+            break;
+          case 'month':
+            date.setHours(0, 0, 0, 0);
+            date.setDate(1);
+            date.setMonth(date.getMonth() - date.getMonth() % count);
+            break;
+        }
+
+        return date.getTime();
+      }
+
+      /**
+       * Add intervals to a time
+       * @param {number} time - Timestamp
+       * @param {Object} interval - Parsed interval
+       * @param {number} times - Number of intervals to add; negative to subtract
+       * @returns {number} Timestamp
+       */
+      function addInterval(time, interval, times) {
+        if (interval.ms) {
+          return time + interval.ms * times;
+        }
+
+        var date = new Date(time);
+        var count = interval.count * times;
+
+        switch (interval.unit) {
+          case 'minute':
+            date.setMinutes(date.getMinutes() + count);
+            break;
+          case 'hour':
+            date.setHours(date.getHours() + count);
+            break;
+          case 'day':
+            date.setDate(date.getDate() + count);
+            break;
+          case 'week':
+            date.setDate(date.getDate() + 7 * count);
+            break;
+          case 'month':
+            date.setMonth(date.getMonth() + count);
+            break;
+        }
+
+        return date.getTime();
+      }
+
+      /**
+       * Get the start of the interval after an interval start
+       * @param {number} time - Interval start
+       * @param {Object} interval - Parsed interval
+       * @param {number} weekStart - First day of the week
+       * @returns {number} Timestamp
+       */
+      function nextTime(time, interval, weekStart) {
+        // Multi-day intervals restart at the first of each month
+        return floorTime(addInterval(time, interval, 1), interval, weekStart);
+      }
+
+      /**
+       * Convert an x value to a timestamp
+       */
+      function toTime(x) {
+        if (angular.isDate(x)) {
+          return x.getTime();
+        }
+        return typeof x === 'number' ? x : new Date(x).getTime();
+      }
+
+      /**
+       * Read points into { time, y, point } entries sorted by time, and get
+       * a function that creates points in the same form
+       *
+       * @param {Array} points - Points
+       * @returns {Object} { entries, create(time, y, point) }
+       */
+      function readPoints(points) {
+        points = points || [];
+
+        var isArray = points.length > 0 && angular.isArray(points[0]);
+        var first = points.length ? (isArray ? points[0][0] : points[0].x) : null;
+        var isNumber = typeof first === 'number';
+
+        var entries = points.map(function(point) {
+          var x = isArray ? point[0] : point.x;
+          var y = isArray ? point[1] : point.y;
+          return { time: toTime(x), y: y === undefined ? null : y, point: point };
+        }).filter(function(entry) {
+          return !isNaN(entry.time);
+        }).sort(function(a, b) {
+          return a.time - b.time;
+        });
+
+        return {
+          entries: entries,
+          create: function(time, y, point) {
+            var x = isNumber ? time : new Date(time);
+            if (isArray) {
+              return point ? [x, y].concat(point.slice(2)) : [x, y];
+            }
+            return angular.extend({}, point, { x: x, y: y });
+          }
+        };
+      }
+
+      /**
+       * Get a rollup calculation (see jscDataPipeline) applied to y values
+       */
+      function getCalculation(name) {
+        if (angular.isFunction(name)) {
+          return function(entries) {
+            return name(entries.map(function(entry) {
+              return entry.y;
+            }));
+          };
+        }
+
+        var calculation = jscDataPipeline.calculations[name || 'mean'];
+        if (!calculation) {
+          throw invalid('Unknown time series aggregate: ' + name);
+        }
+        return function(entries) {
+          return calculation(entries, 'y');
+        };
+      }
+
+      /**
+       * Fill null values of a list of entries
+       *
+       * @param {Array} entries - { time, y } entries, sorted by time
+       * @param {string} method - 'null', 'zero', 'previous' or 'linear'
+       */
+      function fillValues(entries, method) {
+        if (FILL_METHODS.indexOf(method) === -1) {
+          throw invalid('Unknown gap fill method: ' + method);
+        }
+
+        var previous = null;
+
+        entries.forEach(function(entry, index) {
+          if (entry.y !== null) {
+            previous = entry;
+            return;
+          }
+
+          if (method === 'zero') {
+            entry.y = 0;
+          } else if (method === 'previous' && previous) {
+            entry.y = previous.y;
+          } else if (method === 'linear' && previous) {
+            // Interpolate between the surrounding values; leading and trailing gaps stay null
+            for (var i = index + 1; i < entries.length; i++) {
+              if (entries[i].y !== null) {
+                var next = entries[i];
+                entry.y = previous.y + (next.y - previous.y) * (entry.time - previous.time) / (next.time - previous.time);
+                break;
+              }
+            }
+          }
+        });
+      }
+
+      /**
+       * Resample points to an interval
+       *
+       * Points are grouped into intervals and each group is aggregated into
+       * one point at the start of its interval. Intervals without points are
+       * left out, unless options.fill is set.
+       *
+       * @param {Array} points - Points
+       * @param {string|Object|number} interval - Interval
+       * @param {string|Function} [aggregate='mean'] - Calculation (see jscDataPipeline rollup)
+       *   or function(values)
+       * @param {Object} [options]
+       * @param {string} [options.fill] - Fill empty intervals: 'null', 'zero', 'previous' or 'linear'
+       * @param {number} [options.weekStart=0] - First day of week intervals (0 = Sunday)
+       * @returns {Array} Points
+       */
+      function resample(points, interval, aggregate, options) {
+        options = options || {};
+        interval = parseInterval(interval);
+
+        var input = readPoints(points);
+        var calculate = getCalculation(aggregate);
+        var weekStart = options.weekStart || 0;
+        var buckets = [];
+
+        input.entries.forEach(function(entry) {
+          var start = floorTime(entry.time, interval, weekStart);
+          var bucket = buckets[buckets.length - 1];
+          if (!bucket || bucket.time !== start) {
+            bucket = { time: start, entries: [] };
+            buckets.push(bucket);
+          }
+          bucket.entries.push(entry);
+        });
+
+        var entries = buckets.map(function(bucket) {
+          var y = calculate(bucket.entries);
+          return { time: bucket.time, y: y === undefined ? null : y };
+        });
+
+        if (options.fill) {
+          entries = fillTimeline(entries, interval, weekStart, options.fill);
+        }
+
+        return entries.map(function(entry) {
+          return input.create(entry.time, entry.y);
+        });
+      }
+
+      /**
+       * Add entries for missing interval starts between the first and last
+       * entry, then fill null values
+       */
+      function fillTimeline(entries, interval, weekStart, method) {
+        if (!entries.length) {
+          return entries;
+        }
+
+        var byTime = {};
+        entries.forEach(function(entry) {
+          byTime[floorTime(entry.time, interval, weekStart)] = entry;
+        });
+
+        var result = [];
+        var end = entries[entries.length - 1].time;
+        for (var time = floorTime(entries[0].time, interval, weekStart); time <= end; time = nextTime(time, interval, weekStart)) {
+          result.push(byTime[time] || { time: time, y: null });
+        }
+
+        fillValues(result, method);
+        return result;
+      }
+
+      /**
+       * Fill gaps in points: adds points for missing intervals between the
+       * first and last point and fills null values
+       *
+       * @param {Array} points - Points, one per interval
+       * @param {string|Object|number} interval - Interval
+       * @param {string} [method='null'] - 'null', 'zero', 'previous' or 'linear'
+       * @param {Object} [options]
+       * @param {number} [options.weekStart=0] - First day of week intervals
+       * @returns {Array} Points
+       */
+      function fillGaps(points, interval, method, options) {
+        options = options || {};
+        interval = parseInterval(interval);
+
+        var input = readPoints(points);
+        var entries = input.entries.map(function(entry) {
+          return { time: entry.time, y: entry.y, point: entry.point };
+        });
+
+        return fillTimeline(entries, interval, options.weekStart || 0, method || 'null').map(function(entry) {
+          return input.create(entry.time, entry.y, entry.point);
+        });
+      }
+
+      /**
+       * Align series onto shared timestamps, so every series has a point at
+       * each timestamp (e.g. for stacked charts)
+       *
+       * Without an interval, the timestamps are all x values of the series.
+       * With an interval, each series is first resampled and the timestamps
+       * are all intervals from the first to the last point.
+       *
+       * @param {Array<Object>} seriesList - Series with points
+       * @param {Object} [options]
+       * @param {string|Object|number} [options.interval] - Interval to resample to
+       * @param {string|Function} [options.aggregate='mean'] - Resample calculation
+       * @param {string} [options.fill='null'] - 'null', 'zero', 'previous' or 'linear'
+       * @param {number} [options.weekStart=0] - First day of week intervals
+       * @returns {Array<Object>} Copies of the series with aligned points
+       */
+      function align(seriesList, options) {
+        options = options || {};
+
+        var method = options.fill || 'null';
+        var interval = options.interval ? parseInterval(options.interval) : null;
+        var weekStart = options.weekStart || 0;
+        var times = {};
+
+        var inputs = seriesList.map(function(series) {
+          var points = series.points || [];
+          if (interval) {
+            points = resample(points, interval, options.aggregate, { weekStart: weekStart });
+          }
+
+          var input = readPoints(points);
+          input.byTime = {};
+          input.entries.forEach(function(entry) {
+            input.byTime[entry.time] = entry;
+            times[entry.time] = true;
+          });
+          return input;
+        });
+
+        var timeline = Object.keys(times).map(Number).sort(function(a, b) {
+          return a - b;
+        });
+
+        // Resampled times are interval starts; add the empty intervals between them
+        if (interval && timeline.length) {
+          var first = timeline[0];
+          var end = timeline[timeline.length - 1];
+          timeline = [];
+          for (var time = first; time <= end; time = nextTime(time, interval, weekStart)) {
+            timeline.push(time);
+          }
+        }
+
+        return seriesList.map(function(series, index) {
+          var input = inputs[index];
+          var entries = timeline.map(function(time) {
+            var entry = input.byTime[time];
+            return { time: time, y: entry ? entry.y : null, point: entry && entry.point };
+          });
+
+          fillValues(entries, method);
+
+          return angular.extend({}, series, {
+            points: entries.map(function(entry) {
+              return input.create(entry.time, entry.y, entry.point);
+            })
+          });
+        });
+      }
+
+      /**
+       * Calculate a rolling window over points, e.g. a moving average
+       *
+       * @param {Array} points - Points
+       * @param {number|string|Object} window - Number of points, or a time span
+       *   (an interval such as '7 days' or a number of milliseconds in an object { ms })
+       * @param {string|Function} [aggregate='mean'] - Calculation (see jscDataPipeline rollup)
+       *   or function(values)
+       * @param {Object} [options]
+       * @param {number} [options.minPeriods=1] - Values needed for a result; points with fewer are null
+       * @returns {Array} Points with the window result as y
+       */
+      function rolling(points, window, aggregate, options) {
+        options = options || {};
+
+        var input = readPoints(points);
+        var calculate = getCalculation(aggregate);
+        var minPeriods = options.minPeriods || 1;
+        var isCount = typeof window === 'number';
+        var span = isCount ? null : parseInterval(angular.isObject(window) && window.ms ? window.ms : window);
+        var entries = input.entries;
+        var start = 0;
+
+        return entries.map(function(entry, index) {
+          if (isCount) {
+            start = Math.max(0, index - window + 1);
+          } else {
+            // The window covers (time - span, time]
+            var windowStart = addInterval(entry.time, span, -1);
+            while (start < index && entries[start].time <= windowStart) {
+              start++;
+            }
+          }
+
+          var values = entries.slice(start, index + 1).filter(function(item) {
+            return typeof item.y === 'number' && !isNaN(item.y);
+          });
+          var y = values.length >= minPeriods ? calculate(values) : null;
+
+          return input.create(entry.time, y === undefined ? null : y, entry.point);
+        });
+      }
+
+      return {
+        parseInterval: parseInterval,
+        floorTime: floorTime,
+        resample: resample,
+        fillGaps: fillGaps,
+        align: align,
+        rolling: rolling
+      };
+    }]);
+
+})(angular);
@@ -0,0 +1,228 @@
+/**
+ * JSCharting AngularJS Tooltip Service
+ *
+ * Renders Angular-compiled point tooltips (jsc-tooltip-template) in place of
+ * the built-in JSCharting tooltip, so tooltips can use filters, directives
+ * and controller data.
+ *
+ * jsc-tooltip-template is an expression (like ng-include) that evaluates to a
+ * template URL, a $templateCache id or an inline template. Values containing
+ * markup or {{ }} are treated as inline templates. Keeping the template in an
+ * expression stops Angular from interpolating it against the outer scope.
+ *
+ * The template is compiled in a child of the scope the chart element is
+ * declared in, with these additions:
+ *   - point: The hovered point
+ *   - series: The point's series
+ *   - chart: The chart instance
+ *
+ * Usage:
+ *   <jsc-chart jsc-series="vm.series" jsc-tooltip-template="'templates/point-tooltip.html'"></jsc-chart>
+ *
+ *   <jsc-chart jsc-series="vm.series" jsc-tooltip-template="vm.tooltipTemplate"></jsc-chart>
+ *   vm.tooltipTemplate = '<b>{{series.name}}</b>: {{point.y | currency}}';
+ */
+(function(angular) {
+  'use strict';
+
+  // Distance between the cursor and the tooltip, in pixels
+  var CURSOR_OFFSET = 12;
+
+  angular.module('jsc.angular.core')
+    .factory('jscTooltip', ['$compile', '$templateRequest', '$q', '$timeout', '$window', '$document',
+      function($compile, $templateRequest, $q, $timeout, $window, $document) {
+
+      /**
+       * Check whether a template value is an inline template
+       * @param {string} template
+       * @returns {boolean}
+       */
+      function isInline(template) {
+        return template.indexOf('<') !== -1 || template.indexOf('{{') !== -1;
+      }
+
+      /**
+       * Load a template
+       * @param {string} template - Template URL, $templateCache id or inline template
+       * @returns {Promise<string>} Template HTML
+       */
+      function loadTemplate(template) {
+        return isInline(template) ? $q.resolve(template) : $templateRequest(template);
+      }
+
+      /**
+       * Attach a tooltip template to a chart directive
+       *
+       * @param {Object} scope - Directive scope; templates are compiled in a child of its parent
+       * @param {Function} getTemplate - Returns the tooltip template, if any
+       * @param {Function} getChart - Returns the current chart instance
+       * @returns {Object} Tooltip with wire(config), hide() and destroy()
+       */
+      function attach(scope, getTemplate, getChart) {
+        var tooltipElement = null;
+        var tooltipScope = null;
+        var requestId = 0;
+        var cursor = null;
+
+        /**
+         * Position the tooltip next to the cursor, keeping it inside the viewport
+         */
+        function position() {
+          if (!tooltipElement || !cursor) {
+            return;
+          }
+
+          var width = tooltipElement[0].offsetWidth;
+          var height = tooltipElement[0].offsetHeight;
+          var left = cursor.x + CURSOR_OFFSET;
+          var top = cursor.y + CURSOR_OFFSET;
+
+          if (left + width > $window.innerWidth) {
+            left = Math.max(0, cursor.x - CURSOR_OFFSET - width);
+          }
+          if (top + height > $window.innerHeight) {
+            top = Math.max(0, cursor.y - CURSOR_OFFSET - height);
+          }
+
+          tooltipElement.css({
+            left: left + 'px',
+            top: top + 'px',
+            visibility: 'visible'
+          });
+        }
+
+        /**
+         * Track the cursor while a tooltip is shown
+         */
+        function onMouseMove(e) {
+          cursor = { x: e.clientX, y: e.clientY };
+          position();
+        }
+
+        /**
+         * Remove the tooltip and destroy its scope
+         */
+        function hide() {
+          requestId++;
+          $window.removeEventListener('mousemove', onMouseMove);
+
+          if (tooltipScope) {
+            tooltipScope.$destroy();
+            tooltipScope = null;
+          }
+          if (tooltipElement) {
+            tooltipElement.remove();
+            tooltipElement = null;
+          }
+        }
+
+        /**
+         * Show the tooltip for a point
+         * @param {Object} point - Hovered point
+         * @param {Event} [e] - Mouse event
+         */
+        function show(point, e) {
+          hide();
+
+          var template = getTemplate();
+          var id = requestId;
+
+          if (!template) {
+            return;
+          }
+
+          cursor = e && e.clientX !== undefined ? { x: e.clientX, y: e.clientY } : null;
+          $window.addEventListener('mousemove', onMouseMove);
+
+          loadTemplate(template).then(function(html) {
+            // The point was left while the template was loading
+            if (id !== requestId) {
+              return;
+            }
+
+            tooltipScope = scope.$parent.$new();
+            tooltipScope.point = point;
+            tooltipScope.series = point.series;
+            tooltipScope.chart = getChart();
+
+            // Hidden until positioned, as the cursor may not be known yet
+            tooltipElement = angular.element('<div class="jsc-tooltip"></div>');
+            tooltipElement.css({
+              position: 'fixed',
+              left: 0,
+              top: 0,
+              zIndex: 1000,
+              pointerEvents: 'none',
+              visibility: 'hidden'
+            });
+            tooltipElement.html(html);
+            $document.find('body').append(tooltipElement);
+            $compile(tooltipElement.contents())(tooltipScope);
+
+            // Position once the content has rendered
+            $timeout(position);
+          }).catch(function(e) {
+            console.warn('Error loading tooltip template:', e);
+          });
+        }
+
+        /**
+         * Chain a handler in front of an existing point event handler
+         */
+        function chain(handler, existing) {
+          return function(e) {
+            handler(this, e);
+            if (existing) {
+              return existing.apply(this, arguments);
+            }
+          };
+        }
+
+        return {
+          /**
+           * Disable the built-in tooltip and wire point hover events
+           * when a tooltip template is set
+           * @param {Object} config - Chart configuration (modified)
+           * @returns {Object} The config
+           */
+          wire: function(config) {
+            if (!getTemplate()) {
+              return config;
+            }
+
+            config.defaultTooltip = angular.extend({}, config.defaultTooltip, { enabled: false });
+            config.defaultPoint = config.defaultPoint || {};
+            config.defaultPoint.events = config.defaultPoint.events || {};
+
+            config.defaultPoint.events.mouseOver = chain(function(point, e) {
+              $timeout(function() {
+                show(point, e);
+              });
+            }, config.defaultPoint.events.mouseOver);
+
+            config.defaultPoint.events.mouseOut = chain(function() {
+              $timeout(hide);
+            }, config.defaultPoint.events.mouseOut);
+
+            return config;
+          },
+
+          hide: hide,
+
+          /**
+           * Remove the tooltip
+           */
+          destroy: function() {
+            hide();
+          }
+        };
+      }
+
+      return {
+        isInline: isInline,
+        loadTemplate: loadTemplate,
+        attach: attach
+      };
+    }]);
+
+})(angular);
@@ -0,0 +1,88 @@
+/**
+ * JSCharting AngularJS Viewport Service
+ *
+ * Tracks when elements come near the viewport so charts can be created
+ * lazily (jsc-lazy) and released again when they scroll far away.
+ */
+(function(angular) {
+  'use strict';
+
+  angular.module('jsc.angular.core')
+    .factory('jscViewport', ['$window', '$timeout', function($window, $timeout) {
+
+      /**
+       * Check whether IntersectionObserver is supported
+       * @returns {boolean}
+       */
+      function isSupported() {
+        return typeof $window.IntersectionObserver === 'function';
+      }
+
+      /**
+       * Create an observer that calls back when the element's intersection
+       * state with the (margin-extended) viewport changes
+       */
+      function createObserver(element, rootMargin, callback) {
+        var observer = new $window.IntersectionObserver(function(entries) {
+          var entry = entries[entries.length - 1];
+          $timeout(function() {
+            callback(entry.isIntersecting);
+          });
+        }, { rootMargin: rootMargin });
+
+        observer.observe(element);
+        return observer;
+      }
+
+      /**
+       * Observe an element entering and leaving the viewport
+       *
+       * @param {HTMLElement} element - Element to observe
+       * @param {Object} options
+       * @param {string} [options.rootMargin] - Margin around the viewport at which the element counts as entered
+       * @param {string} [options.unloadMargin] - Margin around the viewport beyond which the element counts as left.
+       *   When not set, leave is never called.
+       * @param {Object} callbacks
+       * @param {Function} callbacks.enter - Called when the element comes within rootMargin
+       * @param {Function} [callbacks.leave] - Called when the element moves beyond unloadMargin
+       * @returns {Function} Function that stops observing
+       */
+      function observe(element, options, callbacks) {
+        options = options || {};
+
+        // Without IntersectionObserver every element is treated as visible
+        if (!isSupported()) {
+          $timeout(callbacks.enter);
+          return angular.noop;
+        }
+
+        var observers = [];
+
+        observers.push(createObserver(element, options.rootMargin || '0px', function(isIntersecting) {
+          if (isIntersecting) {
+            callbacks.enter();
+          }
+        }));
+
+        if (options.unloadMargin && callbacks.leave) {
+          observers.push(createObserver(element, options.unloadMargin, function(isIntersecting) {
+            if (!isIntersecting) {
+              callbacks.leave();
+            }
+          }));
+        }
+
+        return function() {
+          observers.forEach(function(observer) {
+            observer.disconnect();
+          });
+        };
+      }
+
+      return {
+        isSupported: isSupported,
+        observe: observe
+      };
+    }]);
+
+})(angular);
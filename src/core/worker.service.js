@@ -0,0 +1,445 @@
+/**
+ * JSCharting AngularJS Worker Service
+ *
+ * Runs services registered with jscWorkerProvider.register() in a Web
+ * Worker created from an inline Blob, so large parsing and transformation
+ * tasks do not block the UI thread. The worker source is built from the
+ * registered factories; they must only use their injected dependencies and
+ * the angular helpers available in the worker (extend, forEach, equals,
+ * toJson and the is* checks).
+ *
+ * Arguments and results are copied with the structured clone algorithm.
+ * Functions in arguments (e.g. pipeline predicates) are sent as source, so
+ * they cannot use variables of their surrounding scope; functions in results
+ * are dropped. Without Web Worker support tasks run on the main thread.
+ *
+ * Usage:
+ *   var worker = jscWorker.create($scope);
+ *   worker.call('jscCsvParser', [{ method: 'parse', args: [text] }]).then(function(result) {
+ *     vm.rows = result.rows;
+ *   });
+ */
+(function(angular) {
+  'use strict';
+
+  /**
+   * Worker runtime. Stringified into the worker source, so it must not use
+   * anything outside of its own body.
+   *
+   * @param {Object} self - Worker global scope
+   * @param {Object} codes - JscError code constants
+   */
+  function workerRuntime(self, codes) {
+    var toString = Object.prototype.toString;
+
+    function isObject(value) {
+      return value !== null && typeof value === 'object';
+    }
+
+    function isDate(value) {
+      return toString.call(value) === '[object Date]';
+    }
+
+    function equals(a, b) {
+      if (a === b || (a !== a && b !== b)) {
+        return true;
+      }
+      if (!isObject(a) || !isObject(b)) {
+        return false;
+      }
+      if (isDate(a) || isDate(b)) {
+        return isDate(a) && isDate(b) && a.getTime() === b.getTime();
+      }
+      if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+      }
+
+      var keys = function(value) {
+        return Object.keys(value).filter(function(key) {
+          return key.charAt(0) !== '$' && typeof value[key] !== 'function';
+        });
+      };
+      var keysA = keys(a);
+      var keysB = keys(b);
+
+      return keysA.length === keysB.length && keysA.every(function(key) {
+        return equals(a[key], b[key]);
+      });
+    }
+
+    // Angular helpers used by the registered services
+    self.angular = {
+      isArray: Array.isArray,
+      isDate: isDate,
+      isObject: isObject,
+      isFunction: function(value) {
+        return typeof value === 'function';
+      },
+      isString: function(value) {
+        return typeof value === 'string';
+      },
+      extend: function(destination) {
+        for (var i = 1; i < arguments.length; i++) {
+          var source = arguments[i];
+          if (source) {
+            Object.keys(source).forEach(function(key) {
+              destination[key] = source[key];
+            });
+          }
+        }
+        return destination;
+      },
+      forEach: function(collection, iterator, context) {
+        if (Array.isArray(collection)) {
+          collection.forEach(iterator, context);
+        } else if (collection) {
+          Object.keys(collection).forEach(function(key) {
+            iterator.call(context, collection[key], key, collection);
+          });
+        }
+        return collection;
+      },
+      equals: equals,
+      toJson: function(value) {
+        return JSON.stringify(value, function(key, item) {
+          return typeof key === 'string' && key.charAt(0) === '$' && key.charAt(1) === '$' ? undefined : item;
+        });
+      }
+    };
+
+    function JscError(code, message, cause) {
+      this.name = 'JscError';
+      this.code = code;
+      this.message = message;
+      this.cause = cause;
+    }
+    JscError.prototype = Object.create(Error.prototype);
+    JscError.prototype.constructor = JscError;
+    Object.keys(codes).forEach(function(code) {
+      JscError[code] = codes[code];
+    });
+
+    // Errors are reported to the global error hooks on the main thread
+    var builtins = {
+      JscError: JscError,
+      jscErrors: {
+        report: function(code, message, cause) {
+          var causeMessage = cause && cause.message ? cause.message : typeof cause === 'string' ? cause : '';
+          return new JscError(code, causeMessage ? message + ': ' + causeMessage : message, cause);
+        },
+        isJscError: function(error) {
+          return error instanceof JscError;
+        }
+      },
+      $timeout: (function() {
+        var timeout = function(fn, delay) {
+          return setTimeout(fn, delay || 0);
+        };
+        timeout.cancel = function(id) {
+          clearTimeout(id);
+        };
+        return timeout;
+      })()
+    };
+
+    var factories = {};
+    var instances = {};
+
+    self.jscDefine = function(name, dependencies, factory) {
+      factories[name] = { dependencies: dependencies, factory: factory };
+    };
+
+    function get(name) {
+      if (builtins[name]) {
+        return builtins[name];
+      }
+      if (!instances[name]) {
+        var definition = factories[name];
+        if (!definition) {
+          throw new JscError(codes.DATA_LOAD_FAILED, 'Unknown worker service: ' + name);
+        }
+        instances[name] = definition.factory.apply(null, definition.dependencies.map(get));
+      }
+      return instances[name];
+    }
+
+    // Restore functions sent as source; arrays are data and are not searched
+    function revive(value) {
+      if (!isObject(value) || Array.isArray(value) || isDate(value)) {
+        return value;
+      }
+      if (typeof value.$$jscFunction === 'string') {
+        return new Function('return (' + value.$$jscFunction + ');')();
+      }
+
+      var result = {};
+      Object.keys(value).forEach(function(key) {
+        result[key] = revive(value[key]);
+      });
+      return result;
+    }
+
+    // Drop functions (e.g. regression predict) that cannot be copied back
+    function clean(value) {
+      if (typeof value === 'function') {
+        return undefined;
+      }
+      if (!isObject(value) || Array.isArray(value) || isDate(value)) {
+        return value;
+      }
+
+      var result = {};
+      Object.keys(value).forEach(function(key) {
+        if (typeof value[key] !== 'function') {
+          result[key] = value[key];
+        }
+      });
+      return result;
+    }
+
+    self.onmessage = function(event) {
+      var task = event.data;
+
+      try {
+        var target = get(task.service);
+        task.calls.forEach(function(call) {
+          target = target[call.method].apply(target, call.args.map(revive));
+        });
+        self.postMessage({ id: task.id, result: clean(target) });
+      } catch (e) {
+        self.postMessage({
+          id: task.id,
+          error: { code: e && e.code, message: e && e.message ? e.message : String(e) }
+        });
+      }
+    };
+  }
+
+  angular.module('jsc.angular.core')
+    .provider('jscWorker', function() {
+
+      // Registered services: { name, annotated factory }
+      var services = [];
+
+      /**
+       * Make a service available in workers. The factory is the annotated
+       * array used to register the service, and its dependencies must be
+       * other registered services, jscErrors, JscError or $timeout.
+       *
+       * @param {string} name - Service name
+       * @param {Array} factory - Dependency names followed by the factory function
+       */
+      this.register = function(name, factory) {
+        services.push({ name: name, factory: factory });
+        return this;
+      };
+
+      this.$get = ['$q', '$window', '$injector', 'jscErrors', 'JscError',
+        function($q, $window, $injector, jscErrors, JscError) {
+
+        var workerUrl = null;
+        var isSupported = !!($window.Worker && $window.Blob && $window.URL && $window.URL.createObjectURL);
+
+        /**
+         * Build the worker source and get a URL for it
+         */
+        function getWorkerUrl() {
+          if (!workerUrl) {
+            var codes = {};
+            Object.keys(JscError).forEach(function(key) {
+              if (typeof JscError[key] === 'string') {
+                codes[key] = JscError[key];
+              }
+            });
+
+            var source = ['\'use strict\';', '(' + workerRuntime.toString() + ')(self, ' + JSON.stringify(codes) + ');']
+              .concat(services.map(function(service) {
+                var factory = service.factory;
+                return 'self.jscDefine(' + JSON.stringify(service.name) + ', ' +
+                  JSON.stringify(factory.slice(0, -1)) + ', ' + factory[factory.length - 1].toString() + ');';
+              }));
+
+            workerUrl = $window.URL.createObjectURL(new $window.Blob([source.join('\n')], {
+              type: 'application/javascript'
+            }));
+          }
+          return workerUrl;
+        }
+
+        /**
+         * Prepare an argument for the worker: functions are sent as source.
+         * Arrays are data and are not searched.
+         */
+        function serialize(value) {
+          if (angular.isFunction(value)) {
+            return { $$jscFunction: value.toString() };
+          }
+          if (!angular.isObject(value) || angular.isArray(value) || angular.isDate(value) ||
+              Object.getPrototypeOf(value) !== Object.prototype) {
+            return value;
+          }
+
+          var result = {};
+          angular.forEach(value, function(item, key) {
+            result[key] = serialize(item);
+          });
+          return result;
+        }
+
+        /**
+         * Run calls on the main thread
+         */
+        function runLocally(service, calls) {
+          return $q(function(resolve, reject) {
+            // $q does not reject on errors thrown by the resolver
+            try {
+              var target = $injector.get(service);
+              calls.forEach(function(call) {
+                target = target[call.method].apply(target, call.args || []);
+              });
+              resolve(target);
+            } catch (e) {
+              reject(e);
+            }
+          }).catch(function(error) {
+            throw jscErrors.isJscError(error) ? error :
+              jscErrors.report(JscError.DATA_LOAD_FAILED, 'Error running ' + service + ' task', error);
+          });
+        }
+
+        /**
+         * Create a worker client. Each client has its own worker, created
+         * on the first call. Cancelling terminates the worker and rejects
+         * the pending tasks; the next call starts a new worker.
+         *
+         * @param {Object} [scope] - Cancel the tasks and release the worker when
+         *   this scope is destroyed
+         * @returns {Object} Client with call(service, calls) and cancel()
+         */
+        function create(scope) {
+          var worker = null;
+          var tasks = {};
+          var nextId = 0;
+          var isDestroyed = false;
+
+          function rejectAll(error) {
+            var pending = tasks;
+            tasks = {};
+            angular.forEach(pending, function(deferred) {
+              deferred.reject(error);
+            });
+          }
+
+          function terminate() {
+            if (worker) {
+              worker.terminate();
+              worker = null;
+            }
+          }
+
+          function start() {
+            worker = new $window.Worker(getWorkerUrl());
+
+            worker.onmessage = function(event) {
+              var message = event.data;
+              var deferred = tasks[message.id];
+              if (!deferred) {
+                return;
+              }
+              delete tasks[message.id];
+
+              var error = message.error;
+              if (!error) {
+                deferred.resolve(message.result);
+              } else if (error.code === JscError.INVALID_ARGUMENT) {
+                // Like on the main thread, invalid arguments are not reported
+                deferred.reject(new JscError(error.code, error.message));
+              } else {
+                deferred.reject(jscErrors.report(error.code || JscError.DATA_LOAD_FAILED, error.message));
+              }
+            };
+
+            worker.onerror = function(event) {
+              if (event.preventDefault) {
+                event.preventDefault();
+              }
+              terminate();
+              rejectAll(jscErrors.report(JscError.DATA_LOAD_FAILED, 'Worker failed', event.message));
+            };
+          }
+
+          /**
+           * Call methods of a registered service in the worker. Each call is
+           * made on the result of the previous one, e.g. create() and then
+           * the steps of a pipeline.
+           *
+           * @param {string} service - Registered service name
+           * @param {Array<Object>} calls - { method, args }
+           * @returns {Promise} Result of the last call
+           */
+          function call(service, calls) {
+            if (isDestroyed) {
+              return $q.reject(new JscError(JscError.DATA_LOAD_FAILED, 'Worker task was cancelled'));
+            }
+
+            if (isSupported && !worker) {
+              try {
+                start();
+              } catch (e) {
+                // E.g. a Content Security Policy without blob: in worker-src
+                console.warn('Web Workers are not available, running tasks on the main thread:', e);
+                isSupported = false;
+              }
+            }
+            if (!isSupported) {
+              return runLocally(service, calls);
+            }
+
+            var id = ++nextId;
+            var deferred = $q.defer();
+            tasks[id] = deferred;
+
+            try {
+              worker.postMessage({
+                id: id,
+                service: service,
+                calls: calls.map(function(item) {
+                  return { method: item.method, args: (item.args || []).map(serialize) };
+                })
+              });
+            } catch (e) {
+              delete tasks[id];
+              deferred.reject(jscErrors.report(JscError.DATA_LOAD_FAILED, 'Error sending data to the worker', e));
+            }
+
+            return deferred.promise;
+          }
+
+          /**
+           * Terminate the worker and reject the pending tasks
+           */
+          function cancel() {
+            terminate();
+            rejectAll(new JscError(JscError.DATA_LOAD_FAILED, 'Worker task was cancelled'));
+          }
+
+          if (scope) {
+            scope.$on('$destroy', function() {
+              isDestroyed = true;
+              cancel();
+            });
+          }
+
+          return {
+            call: call,
+            cancel: cancel
+          };
+        }
+
+        return {
+          create: create
+        };
+      }];
+    });
+
+})(angular);
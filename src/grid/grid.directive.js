@@ -19,7 +19,9 @@
     .directive('jscGrid', [
       '$timeout',
       'jscModuleLoader',
-      function($timeout, jscModuleLoader) {
+      'jscErrors',
+      'JscError',
+      function($timeout, jscModuleLoader, jscErrors, JscError) {
 
         return {
           restrict: 'EA',
@@ -32,7 +34,8 @@
             className: '@?jscClassName',
             options: '<?jscOptions',
             sortable: '<?jscSortable',
-            gridInstance: '=?jscInstance'
+            gridInstance: '=?jscInstance',
+            onError: '&?jscOnError'
           },
 
           link: function(scope, element, attrs) {
@@ -63,6 +66,16 @@
               return config;
             }
 
+            /**
+             * Notify jsc-on-error
+             * @param {JscError} error
+             */
+            function handleError(error) {
+              if (scope.onError) {
+                scope.onError({ error: error, grid: grid });
+              }
+            }
+
             /**
              * Create the grid
              */
@@ -71,6 +84,7 @@
               jscModuleLoader.loadDataGrid().then(function() {
                 if (!isGridAvailable()) {
                   console.error('JSC.Grid is not available. Ensure datagrid module is loaded.');
+                  handleError(jscErrors.report(JscError.LIBRARY_MISSING, 'JSC.Grid is not available. Ensure datagrid module is loaded.'));
                   return;
                 }
 
@@ -85,9 +99,12 @@
                   });
                 } catch (e) {
                   console.error('Error creating Grid:', e);
+                  handleError(jscErrors.report(JscError.CREATE_FAILED, 'Error creating Grid', e));
                 }
               }).catch(function(error) {
                 console.error('Failed to load datagrid module:', error);
+                handleError(jscErrors.isJscError(error) ? error :
+                  jscErrors.report(JscError.MODULE_LOAD_FAILED, 'Failed to load datagrid module', error));
               });
             }
 
@@ -100,6 +117,7 @@
                   grid.options(options);
                 } catch (e) {
                   console.warn('Error updating Grid:', e);
+                  handleError(jscErrors.report(JscError.UPDATE_FAILED, 'Error updating Grid', e));
                 }
               }
             }
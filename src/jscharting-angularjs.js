@@ -10,6 +10,9 @@
  *
  * Available Directives:
  *   - jsc-chart: Main chart directive (supports all 150+ chart types)
+ *   - jsc-series / jsc-point: Declarative series and points inside jsc-chart
+ *   - jsc-x-axis / jsc-y-axis / jsc-axis-marker / jsc-annotation: Declarative axes,
+ *     axis markers and annotations inside jsc-chart
  *   - jsc-map: Map chart directive
  *   - jsc-grid: Data grid directive
  *   - jsc-org-chart: Organizational chart directive
@@ -23,10 +26,29 @@
  * Available Services:
  *   - jscChartFactory: Create and manage chart instances
  *   - jscDataService: Data loading and transformation
+ *   - jscCsvParser: RFC 4180 CSV parsing without JSCharting
+ *   - jscDataPipeline: Chainable data transformations (jscDataService.pipeline)
+ *   - jscTimeSeries: Time series resampling, gap filling, alignment and rolling windows
+ *   - jscStatistics: Regression, percentiles, histograms and box plots (jscDataService.stats)
+ *   - jscDataCache: Response caching and request de-duplication for jscDataService
+ *   - jscWorker: Inline Web Worker for data tasks (jscDataService.worker)
  *   - jscConfigBuilder: Fluent configuration builder
  *   - jscEventService: Cross-chart event communication
  *   - jscModuleLoader: Lazy module loading
  *   - jscPerformance: Performance utilities
+ *   - jscSeriesDiff: Incremental series/point diffing
+ *   - jscResponsive: Container resize handling and responsive rules
+ *   - jscViewport: Viewport tracking for lazy chart creation
+ *   - jscStateOverlay: Loading, empty and error state templates
+ *   - jscTooltip: Angular-compiled point tooltip templates
+ *   - jscChartLifecycle: Chart lifecycle shared by jsc-chart and the specialized chart directives
+ *   - jscChartData: Bound series loading, validation and downsampling of the chart directives
+ *   - jscChartSync: Two-way bindings (selected points, zoom range, visible series)
+ *   - jscChartItems: Removal of deleted axis markers and annotations from loaded charts
+ *   - jscErrors: Error reporting (JscError)
+ *
+ * Available Controllers:
+ *   - JscChartController: Controller of the chart directives (require '^jscChart')
  *
  * Available Providers (configure in app.config):
  *   - jscConfigProvider: Set global defaults
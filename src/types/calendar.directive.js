@@ -1,7 +1,8 @@
 /**
  * JSCharting AngularJS Calendar Chart Directive
  *
- * Simplified directive for calendar/heatmap charts.
+ * Simplified directive for calendar/heatmap charts. Supports the jsc-chart
+ * bindings, event callbacks and child elements (see jscChartLifecycle).
  *
  * Usage:
  *   <jsc-calendar
@@ -17,221 +18,81 @@
 
   angular.module('jsc.angular.core')
     .directive('jscCalendar', [
-      '$timeout',
-      'jscChartFactory',
       'jscModuleLoader',
-      'jscConfig',
-      function($timeout, jscChartFactory, jscModuleLoader, jscConfig) {
+      'jscChartLifecycle',
+      function(jscModuleLoader, jscChartLifecycle) {
 
         return {
           restrict: 'EA',
-          scope: {
-            data: '=?jscData',
-            series: '=?jscSeries',
-            options: '=?jscOptions',
+          transclude: true,
+          scope: jscChartLifecycle.bindings({
+            data: '<?jscData',
             year: '<?jscYear',
             month: '<?jscMonth',
             orientation: '@?jscOrientation',
-            palette: '<?jscPalette',
-            title: '@?jscTitle',
-            debug: '<?jscDebug',
-            calendarConfig: '<?jscCalendarConfig',
-
-            // Output
-            chartInstance: '=?jscInstance',
-
-            // Events
-            onLoad: '&?jscOnLoad',
-            onPointClick: '&?jscOnPointClick',
-            onPointMouseOver: '&?jscOnPointMouseOver',
-            onPointMouseOut: '&?jscOnPointMouseOut'
-          },
-
-          link: function(scope, element, attrs) {
-            var chart = null;
-            var isInitialized = false;
-            var debounceTimeout = null;
-
-            /**
-             * Build chart configuration
-             */
-            function buildConfig() {
-              var config = angular.copy(scope.options) || {};
-
-              // Set type to calendar
-              config.type = 'calendar' + (scope.orientation === 'horizontal' ? ' horizontal' : '');
-
-              // Apply data
-              if (scope.data) {
-                config.data = scope.data;
-              }
-
-              // Apply series
-              if (scope.series) {
-                config.series = angular.copy(scope.series);
-              }
-
-              // Configure calendar
-              config.calendar = config.calendar || {};
-
-              if (scope.year !== undefined) {
-                config.calendar.year = scope.year;
-              }
-
-              if (scope.month !== undefined) {
-                config.calendar.month = scope.month;
-              }
-
-              if (scope.calendarConfig) {
-                angular.merge(config.calendar, scope.calendarConfig);
-              }
-
-              // Apply palette
-              if (scope.palette) {
-                config.palette = scope.palette;
-              }
-
-              // Apply title
-              if (scope.title) {
-                config.title = config.title || {};
-                config.title.label = config.title.label || {};
-                config.title.label.text = scope.title;
-              }
-
-              // Apply debug
-              if (scope.debug !== undefined) {
-                config.debug = scope.debug;
-              }
-
-              // Wire events
-              wireEvents(config);
-
-              return config;
-            }
-
-            /**
-             * Wire event callbacks
-             */
-            function wireEvents(config) {
-              if (scope.onPointClick || scope.onPointMouseOver || scope.onPointMouseOut) {
-                config.defaultPoint = config.defaultPoint || {};
-                config.defaultPoint.events = config.defaultPoint.events || {};
-
-                if (scope.onPointClick) {
-                  config.defaultPoint.events.click = function(e) {
-                    var point = this;
-                    $timeout(function() {
-                      scope.onPointClick({ event: e, point: point, chart: chart });
-                    });
-                  };
+            calendarConfig: '<?jscCalendarConfig'
+          }),
+
+          controller: 'JscChartController',
+
+          link: function(scope, element, attrs, ctrl, transclude) {
+            var lifecycle = jscChartLifecycle.attach(scope, element, attrs, {
+              name: 'calendar chart',
+              controller: ctrl,
+              transclude: transclude,
+              loadModules: function() {
+                return jscModuleLoader.loadTypes();
+              },
+              dataKeys: ['data'],
+              configure: function(config) {
+                // Set type to calendar
+                config.type = 'calendar' + (scope.orientation === 'horizontal' ? ' horizontal' : '');
+
+                // Apply data
+                if (scope.data) {
+                  config.data = scope.data;
                 }
 
-                if (scope.onPointMouseOver) {
-                  config.defaultPoint.events.mouseOver = function(e) {
-                    var point = this;
-                    $timeout(function() {
-                      scope.onPointMouseOver({ event: e, point: point, chart: chart });
-                    });
-                  };
-                }
+                // Configure calendar
+                config.calendar = config.calendar || {};
 
-                if (scope.onPointMouseOut) {
-                  config.defaultPoint.events.mouseOut = function(e) {
-                    var point = this;
-                    $timeout(function() {
-                      scope.onPointMouseOut({ event: e, point: point, chart: chart });
-                    });
-                  };
+                if (scope.year !== undefined) {
+                  config.calendar.year = scope.year;
                 }
-              }
-            }
-
-            /**
-             * Initialize the chart
-             */
-            function initChart() {
-              // Load types module first
-              jscModuleLoader.loadTypes().then(function() {
-                var config = buildConfig();
-
-                chart = jscChartFactory.createSync(element[0], config, function(chartInstance) {
-                  $timeout(function() {
-                    scope.chartInstance = chartInstance;
-                    isInitialized = true;
-
-                    if (scope.onLoad) {
-                      scope.onLoad({ chart: chartInstance });
-                    }
-                  });
-                });
 
-                if (chart) {
-                  scope.chartInstance = chart;
+                if (scope.month !== undefined) {
+                  config.calendar.month = scope.month;
                 }
-              }).catch(function(error) {
-                console.error('Failed to load types module:', error);
-              });
-            }
 
-            /**
-             * Update the chart
-             */
-            function updateChart(options) {
-              if (chart && typeof chart.options === 'function') {
-                try {
-                  chart.options(options);
-                } catch (e) {
-                  console.warn('Error updating calendar chart:', e);
+                if (scope.calendarConfig) {
+                  angular.merge(config.calendar, scope.calendarConfig);
                 }
               }
-            }
+            });
 
             // Watch for data changes
-            scope.$watch('data', function(newVal, oldVal) {
-              if (!angular.equals(newVal, oldVal) && isInitialized) {
-                updateChart({ data: newVal });
-              }
-            }, true);
-
-            // Watch for series changes
-            scope.$watch('series', function(newVal, oldVal) {
-              if (!angular.equals(newVal, oldVal) && isInitialized) {
-                updateChart({ series: angular.copy(newVal) });
-              }
-            }, true);
+            lifecycle.watch('data', function(data) {
+              lifecycle.update({ data: data });
+              lifecycle.refreshDataState();
+            });
 
             // Watch for year/month changes
-            scope.$watchGroup(['year', 'month'], function(newVals, oldVals) {
-              if ((newVals[0] !== oldVals[0] || newVals[1] !== oldVals[1]) && isInitialized) {
-                var updates = { calendar: {} };
-                if (newVals[0] !== undefined) updates.calendar.year = newVals[0];
-                if (newVals[1] !== undefined) updates.calendar.month = newVals[1];
-                updateChart(updates);
-              }
+            lifecycle.watch('[year, month]', function(values) {
+              var updates = { calendar: {} };
+              if (values[0] !== undefined) updates.calendar.year = values[0];
+              if (values[1] !== undefined) updates.calendar.month = values[1];
+              lifecycle.update(updates);
             });
 
-            // Watch for options changes
-            scope.$watch('options', function(newVal, oldVal) {
-              if (!angular.equals(newVal, oldVal) && isInitialized) {
-                if (debounceTimeout) $timeout.cancel(debounceTimeout);
-                debounceTimeout = $timeout(function() {
-                  updateChart(buildConfig());
-                }, jscConfig.getUpdateDebounceTime());
-              }
-            }, true);
-
-            // Cleanup
-            scope.$on('$destroy', function() {
-              if (debounceTimeout) $timeout.cancel(debounceTimeout);
-              if (chart) {
-                jscChartFactory.destroy(chart);
-                chart = null;
-              }
-              scope.chartInstance = null;
+            // Watch for calendar settings changes
+            lifecycle.watch('calendarConfig', function() {
+              lifecycle.scheduleUpdate();
             });
 
-            // Initialize
-            initChart();
+            // Orientation changes the chart type and requires a rebuild
+            lifecycle.watch('orientation', function() {
+              lifecycle.rebuild();
+            });
           }
         };
       }
@@ -1,7 +1,9 @@
 /**
  * JSCharting AngularJS Organizational Chart Directive
  *
- * Simplified directive for organizational/hierarchy charts.
+ * Simplified directive for organizational/hierarchy charts. Supports the
+ * jsc-chart bindings, event callbacks and child elements (see
+ * jscChartLifecycle).
  *
  * Usage:
  *   <jsc-org-chart
@@ -16,200 +18,62 @@
 
   angular.module('jsc.angular.core')
     .directive('jscOrgChart', [
-      '$timeout',
-      'jscChartFactory',
       'jscModuleLoader',
-      'jscConfig',
-      function($timeout, jscChartFactory, jscModuleLoader, jscConfig) {
+      'jscChartLifecycle',
+      function(jscModuleLoader, jscChartLifecycle) {
 
         return {
           restrict: 'EA',
-          scope: {
-            series: '=?jscSeries',
-            options: '=?jscOptions',
+          transclude: true,
+          scope: jscChartLifecycle.bindings({
             orientation: '@?jscOrientation',
             pointWidth: '<?jscPointWidth',
             pointPadding: '<?jscPointPadding',
-            connectorLine: '<?jscConnectorLine',
-            palette: '<?jscPalette',
-            title: '@?jscTitle',
-            debug: '<?jscDebug',
-
-            // Output
-            chartInstance: '=?jscInstance',
-
-            // Events
-            onLoad: '&?jscOnLoad',
-            onPointClick: '&?jscOnPointClick',
-            onPointMouseOver: '&?jscOnPointMouseOver',
-            onPointMouseOut: '&?jscOnPointMouseOut'
-          },
-
-          link: function(scope, element, attrs) {
-            var chart = null;
-            var isInitialized = false;
-            var debounceTimeout = null;
-
-            /**
-             * Build chart configuration
-             */
-            function buildConfig() {
-              var config = angular.copy(scope.options) || {};
-
-              // Set type to organizational
-              config.type = 'organizational' + (scope.orientation === 'horizontal' ? ' horizontal' : '');
-
-              // Apply series
-              if (scope.series) {
-                config.series = angular.copy(scope.series);
-              }
-
-              // Apply palette
-              if (scope.palette) {
-                config.palette = scope.palette;
-              }
-
-              // Apply title
-              if (scope.title) {
-                config.title = config.title || {};
-                config.title.label = config.title.label || {};
-                config.title.label.text = scope.title;
-              }
-
-              // Apply debug
-              if (scope.debug !== undefined) {
-                config.debug = scope.debug;
-              }
-
-              // Configure default series for org chart
-              config.defaultSeries = config.defaultSeries || {};
-
-              if (scope.pointWidth !== undefined) {
-                config.defaultSeries.pointWidth = scope.pointWidth;
-              }
-
-              if (scope.pointPadding !== undefined) {
-                config.defaultPoint = config.defaultPoint || {};
-                config.defaultPoint.padding = scope.pointPadding;
-              }
-
-              // Configure connector lines
-              if (scope.connectorLine) {
-                config.defaultSeries.line = scope.connectorLine;
-              }
-
-              // Wire events
-              wireEvents(config);
-
-              return config;
-            }
-
-            /**
-             * Wire event callbacks
-             */
-            function wireEvents(config) {
-              if (scope.onPointClick || scope.onPointMouseOver || scope.onPointMouseOut) {
-                config.defaultPoint = config.defaultPoint || {};
-                config.defaultPoint.events = config.defaultPoint.events || {};
-
-                if (scope.onPointClick) {
-                  config.defaultPoint.events.click = function(e) {
-                    var point = this;
-                    $timeout(function() {
-                      scope.onPointClick({ event: e, point: point, chart: chart });
-                    });
-                  };
+            connectorLine: '<?jscConnectorLine'
+          }),
+
+          controller: 'JscChartController',
+
+          link: function(scope, element, attrs, ctrl, transclude) {
+            var lifecycle = jscChartLifecycle.attach(scope, element, attrs, {
+              name: 'org chart',
+              controller: ctrl,
+              transclude: transclude,
+              loadModules: function() {
+                return jscModuleLoader.loadTypes();
+              },
+              configure: function(config) {
+                // Set type to organizational
+                config.type = 'organizational' + (scope.orientation === 'horizontal' ? ' horizontal' : '');
+
+                // Configure default series for org chart
+                config.defaultSeries = config.defaultSeries || {};
+
+                if (scope.pointWidth !== undefined) {
+                  config.defaultSeries.pointWidth = scope.pointWidth;
                 }
 
-                if (scope.onPointMouseOver) {
-                  config.defaultPoint.events.mouseOver = function(e) {
-                    var point = this;
-                    $timeout(function() {
-                      scope.onPointMouseOver({ event: e, point: point, chart: chart });
-                    });
-                  };
+                if (scope.pointPadding !== undefined) {
+                  config.defaultPoint = config.defaultPoint || {};
+                  config.defaultPoint.padding = scope.pointPadding;
                 }
 
-                if (scope.onPointMouseOut) {
-                  config.defaultPoint.events.mouseOut = function(e) {
-                    var point = this;
-                    $timeout(function() {
-                      scope.onPointMouseOut({ event: e, point: point, chart: chart });
-                    });
-                  };
+                // Configure connector lines
+                if (scope.connectorLine) {
+                  config.defaultSeries.line = scope.connectorLine;
                 }
               }
-            }
-
-            /**
-             * Initialize the chart
-             */
-            function initChart() {
-              // Load types module first
-              jscModuleLoader.loadTypes().then(function() {
-                var config = buildConfig();
-
-                chart = jscChartFactory.createSync(element[0], config, function(chartInstance) {
-                  $timeout(function() {
-                    scope.chartInstance = chartInstance;
-                    isInitialized = true;
-
-                    if (scope.onLoad) {
-                      scope.onLoad({ chart: chartInstance });
-                    }
-                  });
-                });
-
-                if (chart) {
-                  scope.chartInstance = chart;
-                }
-              }).catch(function(error) {
-                console.error('Failed to load types module:', error);
-              });
-            }
-
-            /**
-             * Update the chart
-             */
-            function updateChart(options) {
-              if (chart && typeof chart.options === 'function') {
-                try {
-                  chart.options(options);
-                } catch (e) {
-                  console.warn('Error updating org chart:', e);
-                }
-              }
-            }
-
-            // Watch for series changes
-            scope.$watch('series', function(newVal, oldVal) {
-              if (!angular.equals(newVal, oldVal) && isInitialized) {
-                updateChart({ series: angular.copy(newVal) });
-              }
-            }, true);
-
-            // Watch for options changes
-            scope.$watch('options', function(newVal, oldVal) {
-              if (!angular.equals(newVal, oldVal) && isInitialized) {
-                if (debounceTimeout) $timeout.cancel(debounceTimeout);
-                debounceTimeout = $timeout(function() {
-                  updateChart(buildConfig());
-                }, jscConfig.getUpdateDebounceTime());
-              }
-            }, true);
+            });
 
-            // Cleanup
-            scope.$on('$destroy', function() {
-              if (debounceTimeout) $timeout.cancel(debounceTimeout);
-              if (chart) {
-                jscChartFactory.destroy(chart);
-                chart = null;
-              }
-              scope.chartInstance = null;
+            // Orientation changes the chart type and requires a rebuild
+            lifecycle.watch('orientation', function() {
+              lifecycle.rebuild();
             });
 
-            // Initialize
-            initChart();
+            // Watch for node layout changes
+            lifecycle.watch('[pointWidth, pointPadding, connectorLine]', function() {
+              lifecycle.scheduleUpdate();
+            });
           }
         };
       }
@@ -17,7 +17,7 @@
   'use strict';
 
   angular.module('jsc.angular.widgets')
-    .directive('jscBarColumnWidget', ['$timeout', function($timeout) {
+    .directive('jscBarColumnWidget', ['$timeout', 'jscErrors', 'JscError', function($timeout, jscErrors, JscError) {
 
       return {
         restrict: 'EA',
@@ -32,7 +32,8 @@
           options: '<?jscOptions',
           showValue: '<?jscShowValue',
           format: '@?jscFormat',
-          widgetInstance: '=?jscInstance'
+          widgetInstance: '=?jscInstance',
+          onError: '&?jscOnError'
         },
 
         link: function(scope, element, attrs) {
@@ -66,12 +67,23 @@
             return config;
           }
 
+          /**
+           * Notify jsc-on-error
+           * @param {JscError} error
+           */
+          function handleError(error) {
+            if (scope.onError) {
+              scope.onError({ error: error, widget: widget });
+            }
+          }
+
           /**
            * Create the widget
            */
           function createWidget() {
             if (!isWidgetsAvailable()) {
               console.error('JSCWidgets.BarColumn is not available. Include jscharting-widgets.js.');
+              handleError(jscErrors.report(JscError.LIBRARY_MISSING, 'JSCWidgets.BarColumn is not available. Include jscharting-widgets.js.'));
               return;
             }
 
@@ -86,6 +98,7 @@
               });
             } catch (e) {
               console.error('Error creating BarColumn widget:', e);
+              handleError(jscErrors.report(JscError.CREATE_FAILED, 'Error creating BarColumn widget', e));
             }
           }
 
@@ -98,6 +111,7 @@
                 widget.options(options);
               } catch (e) {
                 console.warn('Error updating BarColumn widget:', e);
+                handleError(jscErrors.report(JscError.UPDATE_FAILED, 'Error updating BarColumn widget', e));
               }
             }
           }
@@ -18,7 +18,7 @@
   'use strict';
 
   angular.module('jsc.angular.widgets')
-    .directive('jscCircularWidget', ['$timeout', function($timeout) {
+    .directive('jscCircularWidget', ['$timeout', 'jscErrors', 'JscError', function($timeout, jscErrors, JscError) {
 
       return {
         restrict: 'EA',
@@ -37,7 +37,8 @@
           startAngle: '<?jscStartAngle',
           showValue: '<?jscShowValue',
           format: '@?jscFormat',
-          widgetInstance: '=?jscInstance'
+          widgetInstance: '=?jscInstance',
+          onError: '&?jscOnError'
         },
 
         link: function(scope, element, attrs) {
@@ -75,12 +76,23 @@
             return config;
           }
 
+          /**
+           * Notify jsc-on-error
+           * @param {JscError} error
+           */
+          function handleError(error) {
+            if (scope.onError) {
+              scope.onError({ error: error, widget: widget });
+            }
+          }
+
           /**
            * Create the widget
            */
           function createWidget() {
             if (!isWidgetsAvailable()) {
               console.error('JSCWidgets.Circular is not available. Include jscharting-widgets.js.');
+              handleError(jscErrors.report(JscError.LIBRARY_MISSING, 'JSCWidgets.Circular is not available. Include jscharting-widgets.js.'));
               return;
             }
 
@@ -95,6 +107,7 @@
               });
             } catch (e) {
               console.error('Error creating Circular widget:', e);
+              handleError(jscErrors.report(JscError.CREATE_FAILED, 'Error creating Circular widget', e));
             }
           }
 
@@ -107,6 +120,7 @@
                 widget.options(options);
               } catch (e) {
                 console.warn('Error updating Circular widget:', e);
+                handleError(jscErrors.report(JscError.UPDATE_FAILED, 'Error updating Circular widget', e));
               }
             }
           }
@@ -19,7 +19,7 @@
   'use strict';
 
   angular.module('jsc.angular.widgets')
-    .directive('jscLinearWidget', ['$timeout', function($timeout) {
+    .directive('jscLinearWidget', ['$timeout', 'jscErrors', 'JscError', function($timeout, jscErrors, JscError) {
 
       return {
         restrict: 'EA',
@@ -36,7 +36,8 @@
           orientation: '@?jscOrientation',
           showValue: '<?jscShowValue',
           format: '@?jscFormat',
-          widgetInstance: '=?jscInstance'
+          widgetInstance: '=?jscInstance',
+          onError: '&?jscOnError'
         },
 
         link: function(scope, element, attrs) {
@@ -72,12 +73,23 @@
             return config;
           }
 
+          /**
+           * Notify jsc-on-error
+           * @param {JscError} error
+           */
+          function handleError(error) {
+            if (scope.onError) {
+              scope.onError({ error: error, widget: widget });
+            }
+          }
+
           /**
            * Create the widget
            */
           function createWidget() {
             if (!isWidgetsAvailable()) {
               console.error('JSCWidgets.Linear is not available. Include jscharting-widgets.js.');
+              handleError(jscErrors.report(JscError.LIBRARY_MISSING, 'JSCWidgets.Linear is not available. Include jscharting-widgets.js.'));
               return;
             }
 
@@ -92,6 +104,7 @@
               });
             } catch (e) {
               console.error('Error creating Linear widget:', e);
+              handleError(jscErrors.report(JscError.CREATE_FAILED, 'Error creating Linear widget', e));
             }
           }
 
@@ -104,6 +117,7 @@
                 widget.options(options);
               } catch (e) {
                 console.warn('Error updating Linear widget:', e);
+                handleError(jscErrors.report(JscError.UPDATE_FAILED, 'Error updating Linear widget', e));
               }
             }
           }
@@ -0,0 +1,221 @@
+describe('jscChart', function() {
+  'use strict';
+
+  var $compile;
+  var $rootScope;
+  var $timeout;
+  var originalJSC;
+  var charts;
+
+  /**
+   * Create a fake chart that records the calls made by the directives
+   */
+  function createChart(config) {
+    var chart = {
+      config: config,
+      calls: [],
+      seriesList: (config.series || []).map(function(series) {
+        return createSeries(series);
+      })
+    };
+
+    function createSeries(options) {
+      var series = { id: options.id, name: options.name, config: options };
+      series.options = function(value) {
+        if (value === undefined || angular.isString(value)) {
+          return value ? series.config[value] : series.config;
+        }
+        chart.calls.push(['series.options', series.id, value]);
+        angular.extend(series.config, value);
+      };
+      series.remove = function() {
+        chart.calls.push(['series.remove', series.id]);
+        chart.seriesList.splice(chart.seriesList.indexOf(series), 1);
+      };
+      series.points = function() {
+        return [];
+      };
+      series.points.add = function(points) {
+        chart.calls.push(['points.add', series.id, points]);
+      };
+      return series;
+    }
+
+    chart.series = function(id) {
+      if (id === undefined) {
+        var list = chart.seriesList.slice();
+        list.each = function(fn) {
+          list.forEach(fn);
+        };
+        list.points = function() {
+          return null;
+        };
+        return list;
+      }
+      return chart.seriesList.filter(function(series) {
+        return series.id === id || series.name === id;
+      })[0];
+    };
+    chart.series.add = function(options) {
+      chart.calls.push(['series.add', options.id]);
+      chart.seriesList.push(createSeries(options));
+    };
+    chart.options = function(options) {
+      chart.calls.push(['options', options]);
+    };
+    chart.axes = function(id) {
+      return {
+        markers: function(markerId) {
+          return {
+            remove: function() {
+              chart.calls.push(['marker.remove', id, markerId]);
+            }
+          };
+        }
+      };
+    };
+    chart.annotations = function(id) {
+      return {
+        remove: function() {
+          chart.calls.push(['annotation.remove', id]);
+        }
+      };
+    };
+    chart.destroy = function() {
+      chart.calls.push(['destroy']);
+    };
+
+    return chart;
+  }
+
+  function seriesIds(chart) {
+    return chart.seriesList.map(function(series) {
+      return series.id;
+    });
+  }
+
+  function axisIds(axes) {
+    return (angular.isArray(axes) ? axes : [axes]).map(function(axis) {
+      return axis.id;
+    });
+  }
+
+  function compile(html, scope) {
+    var element = $compile(html)(scope);
+    scope.$digest();
+    $timeout.flush();
+    return element;
+  }
+
+  beforeEach(module('jsc.angular.core'));
+
+  beforeEach(inject(function(_$compile_, _$rootScope_, _$timeout_) {
+    $compile = _$compile_;
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+
+    charts = [];
+    originalJSC = window.JSC;
+    window.JSC = {
+      chart: function(target, config, callback) {
+        var chart = createChart(config);
+        charts.push(chart);
+        callback.call(chart, chart);
+        return chart;
+      }
+    };
+  }));
+
+  afterEach(function() {
+    window.JSC = originalJSC;
+  });
+
+  describe('child series', function() {
+    var scope;
+
+    beforeEach(function() {
+      scope = $rootScope.$new();
+      scope.series = [
+        { id: 'a', points: [{ x: 1, y: 1 }] },
+        { id: 'b', points: [{ x: 1, y: 2 }] }
+      ];
+      compile('<jsc-chart jsc-type="line">' +
+        '<jsc-series ng-repeat="s in series" jsc-id="{{s.id}}" jsc-points="s.points"></jsc-series>' +
+        '</jsc-chart>', scope);
+    });
+
+    it('creates the chart with the declared series', function() {
+      expect(charts.length).toBe(1);
+      expect(charts[0].config.series.map(function(series) { return series.id; })).toEqual(['a', 'b']);
+    });
+
+    it('adds series to the loaded chart', function() {
+      scope.series.push({ id: 'c', points: [{ x: 1, y: 3 }] });
+      scope.$digest();
+
+      expect(charts.length).toBe(1);
+      expect(charts[0].calls).toContain(['series.add', 'c']);
+      expect(seriesIds(charts[0])).toEqual(['a', 'b', 'c']);
+    });
+
+    it('removes series from the loaded chart', function() {
+      scope.series.shift();
+      scope.$digest();
+
+      expect(charts.length).toBe(1);
+      expect(charts[0].calls).toContain(['series.remove', 'a']);
+      expect(seriesIds(charts[0])).toEqual(['b']);
+    });
+  });
+
+  describe('child axes', function() {
+    var scope;
+
+    beforeEach(function() {
+      scope = $rootScope.$new();
+      scope.axes = ['left'];
+      scope.showMarker = true;
+      compile('<jsc-chart jsc-type="line">' +
+        '<jsc-y-axis ng-repeat="id in axes" jsc-id="{{id}}">' +
+        '<jsc-axis-marker ng-if="showMarker" jsc-id="limit" jsc-value="90"></jsc-axis-marker>' +
+        '</jsc-y-axis>' +
+        '</jsc-chart>', scope);
+    });
+
+    it('creates the chart with the declared axes', function() {
+      expect(axisIds(charts[0].config.yAxis)).toEqual(['left']);
+    });
+
+    it('applies added axes to the loaded chart', function() {
+      scope.axes.push('right');
+      scope.$digest();
+
+      var options = charts[charts.length - 1].calls.filter(function(call) {
+        return call[0] === 'options' && call[1].yAxis;
+      });
+      expect(charts.length).toBe(1);
+      expect(axisIds(options[options.length - 1][1].yAxis)).toEqual(['left', 'right']);
+    });
+
+    it('re-creates the chart without removed axes', function() {
+      scope.axes.push('right');
+      scope.$digest();
+
+      scope.axes.shift();
+      scope.$digest();
+      $timeout.flush();
+
+      expect(charts.length).toBe(2);
+      expect(charts[0].calls).toContain(['destroy']);
+      expect(axisIds(charts[1].config.yAxis)).toEqual(['right']);
+    });
+
+    it('removes deleted axis markers from the loaded chart', function() {
+      scope.showMarker = false;
+      scope.$digest();
+
+      expect(charts.length).toBe(1);
+      expect(charts[0].calls).toContain(['marker.remove', 'left', 'limit']);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+describe('jscCsvParser', function() {
+  'use strict';
+
+  var jscCsvParser;
+
+  beforeEach(module('jsc.angular.core'));
+
+  beforeEach(inject(function(_jscCsvParser_) {
+    jscCsvParser = _jscCsvParser_;
+  }));
+
+  describe('parse', function() {
+    it('parses quoted fields with delimiters, quotes and line breaks', function() {
+      var result = jscCsvParser.parse('name,value\n"Smith, J",1\n"say ""hi""",2\n"a\nb",3');
+
+      expect(result.fields).toEqual(['name', 'value']);
+      expect(result.rows).toEqual([
+        { name: 'Smith, J', value: 1 },
+        { name: 'say "hi"', value: 2 },
+        { name: 'a\nb', value: 3 }
+      ]);
+      expect(result.errors).toEqual([]);
+    });
+
+    it('detects the delimiter and infers number and boolean columns', function() {
+      var result = jscCsvParser.parse('a;b\n1;true\n2;false');
+
+      expect(result.delimiter).toBe(';');
+      expect(result.rows).toEqual([{ a: 1, b: true }, { a: 2, b: false }]);
+    });
+
+    it('returns arrays when the first record is not a header', function() {
+      var result = jscCsvParser.parse('1,2\n3,4');
+
+      expect(result.fields).toBeNull();
+      expect(result.rows).toEqual([[1, 2], [3, 4]]);
+    });
+
+    it('reports field count and quote errors with their position', function() {
+      var errors = jscCsvParser.parse('a,b\n1,2,3\n"x').errors;
+
+      expect(errors[0]).toEqual(jasmine.objectContaining({ code: 'FieldCount', row: 2 }));
+      expect(errors[1]).toEqual(jasmine.objectContaining({ code: 'UnclosedQuote', row: 3 }));
+    });
+
+    it('keeps numbers with leading zeros as strings', function() {
+      var rows = jscCsvParser.parse('zip,count\n00501,1\n10001,2').rows;
+
+      expect(rows).toEqual([{ zip: '00501', count: 1 }, { zip: '10001', count: 2 }]);
+    });
+  });
+
+  describe('dates', function() {
+    it('converts ISO 8601 and M/D/YYYY dates', function() {
+      var rows = jscCsvParser.parse('date\n2020-02-29\n2/28/2020 1:30 PM').rows;
+
+      expect(rows[0].date).toEqual(new Date(2020, 1, 29));
+      expect(rows[1].date).toEqual(new Date(2020, 1, 28, 13, 30, 0));
+    });
+
+    it('does not infer a date column from dates that do not exist', function() {
+      var rows = jscCsvParser.parse('date\n2020-02-30\n2020-13-45\n13/02/2020').rows;
+
+      expect(rows).toEqual([{ date: '2020-02-30' }, { date: '2020-13-45' }, { date: '13/02/2020' }]);
+    });
+
+    it('rejects dates with out of range parts instead of rolling them over', function() {
+      ['2020-02-30', '2020-13-45', '13/02/2020', '2/30/2020 10:00', '2020-01-01T24:00', '1/1/2020 13:00 PM']
+        .forEach(function(value) {
+          expect(jscCsvParser.convert(value, 'date')).toBeUndefined();
+        });
+    });
+
+    it('reports dates that do not exist in a date column', function() {
+      var result = jscCsvParser.parse('date\n2020-02-30', { types: { date: 'date' } });
+
+      expect(result.rows).toEqual([{ date: null }]);
+      expect(result.errors).toEqual([
+        jasmine.objectContaining({ code: 'InvalidValue', row: 2, column: 1 })
+      ]);
+    });
+  });
+
+  describe('createParser', function() {
+    it('reports values after the sampled rows that do not match the inferred type', function() {
+      var rows = [];
+      var parser = jscCsvParser.createParser({ sampleSize: 2 }, function(batch) {
+        Array.prototype.push.apply(rows, batch);
+      });
+
+      parser.write('n\n1\n2\nabc\n4');
+      var result = parser.end();
+
+      expect(rows).toEqual([{ n: 1 }, { n: 2 }, { n: null }, { n: 4 }]);
+      expect(result.errors).toEqual([
+        jasmine.objectContaining({ code: 'InvalidValue', row: 4, column: 1 })
+      ]);
+    });
+
+    it('parses records split across chunks', function() {
+      var rows = [];
+      var parser = jscCsvParser.createParser({}, function(batch) {
+        Array.prototype.push.apply(rows, batch);
+      });
+
+      parser.write('name,value\n"Smi');
+      parser.write('th",1\nJones,');
+      parser.write('2\n');
+      parser.end();
+
+      expect(rows).toEqual([{ name: 'Smith', value: 1 }, { name: 'Jones', value: 2 }]);
+    });
+  });
+});
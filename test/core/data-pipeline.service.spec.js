@@ -0,0 +1,105 @@
+describe('jscDataPipeline', function() {
+  'use strict';
+
+  var jscDataService;
+  var rows;
+
+  beforeEach(module('jsc.angular.core'));
+
+  beforeEach(inject(function(_jscDataService_) {
+    jscDataService = _jscDataService_;
+    rows = [
+      { region: 'North', year: 2024, sales: 100, returns: 10 },
+      { region: 'South', year: 2024, sales: 80, returns: 0 },
+      { region: 'North', year: 2024, sales: 50, returns: 5 },
+      { region: 'East', year: 2024, sales: 30, returns: 0 },
+      { region: 'West', year: 2024, sales: 20, returns: 0 },
+      { region: 'West', year: 2023, sales: 999, returns: 0 }
+    ];
+  }));
+
+  function netByRegion() {
+    return jscDataService.pipeline()
+      .filter(function(row) { return row.year === 2024; })
+      .derive('net', function(row) { return row.sales - row.returns; })
+      .groupBy('region')
+      .rollup({ total: { property: 'net', calculation: 'sum' }, orders: 'count' })
+      .sort('total', true);
+  }
+
+  it('filters, derives, groups, rolls up and sorts rows', function() {
+    expect(netByRegion().run(rows)).toEqual([
+      { region: 'North', total: 135, orders: 2 },
+      { region: 'South', total: 80, orders: 1 },
+      { region: 'East', total: 30, orders: 1 },
+      { region: 'West', total: 20, orders: 1 }
+    ]);
+  });
+
+  it('combines the rows after topN into one row, re-aggregated with the last rollup', function() {
+    expect(netByRegion().topN(2, 'Others').run(rows)).toEqual([
+      { region: 'North', total: 135, orders: 2 },
+      { region: 'South', total: 80, orders: 1 },
+      { region: 'Others', total: 50, orders: 2 }
+    ]);
+  });
+
+  it('drops the rows after topN without a label', function() {
+    expect(netByRegion().topN(1).run(rows).length).toBe(1);
+  });
+
+  it('filters by field values', function() {
+    expect(jscDataService.pipeline(rows).filter({ region: 'West', year: 2023 }).run()).toEqual([
+      { region: 'West', year: 2023, sales: 999, returns: 0 }
+    ]);
+  });
+
+  it('groups by several keys', function() {
+    var result = jscDataService.pipeline(rows).groupBy('year', 'region').rollup({ count: 'count' }).run();
+
+    expect(result.length).toBe(5);
+    expect(result[0]).toEqual({ year: 2024, region: 'North', count: 2 });
+    expect(result[4]).toEqual({ year: 2023, region: 'West', count: 1 });
+  });
+
+  it('does not change the source rows', function() {
+    netByRegion().run(rows);
+
+    expect(rows[0]).toEqual({ region: 'North', year: 2024, sales: 100, returns: 10 });
+  });
+
+  it('returns a new pipeline from each step', function() {
+    var base = jscDataService.pipeline().filter({ year: 2024 });
+    var sorted = base.sort('sales');
+
+    expect(base.run(rows).map(function(row) { return row.sales; })).toEqual([100, 80, 50, 30, 20]);
+    expect(sorted.run(rows).map(function(row) { return row.sales; })).toEqual([20, 30, 50, 80, 100]);
+  });
+
+  it('creates series with a data mapping', function() {
+    expect(netByRegion().topN(2, 'Others').toSeries({ x: 'region', y: 'total' }, { name: 'Net' }, rows)).toEqual([
+      { name: 'Net', points: [{ x: 'North', y: 135 }, { x: 'South', y: 80 }, { x: 'Others', y: 50 }] }
+    ]);
+  });
+
+  it('creates a series for each value of the series field', function() {
+    var series = jscDataService.pipeline(rows)
+      .filter({ year: 2024 })
+      .toSeries({ x: 'sales', y: 'returns', series: 'region' });
+
+    expect(series.map(function(item) { return item.name; })).toEqual(['North', 'South', 'East', 'West']);
+    expect(series[0].points).toEqual([{ x: 100, y: 10 }, { x: 50, y: 5 }]);
+  });
+
+  it('throws INVALID_ARGUMENT for data that is not an array', inject(function(JscError) {
+    expect(function() {
+      jscDataService.pipeline('rows').run();
+    }).toThrow(jasmine.objectContaining({ code: JscError.INVALID_ARGUMENT }));
+  }));
+
+  it('throws INVALID_ARGUMENT for an unknown rollup calculation', inject(function(JscError) {
+    expect(function() {
+      jscDataService.pipeline(rows).rollup({ total: 'bogus' }).run();
+    }).toThrow(jasmine.objectContaining({ code: JscError.INVALID_ARGUMENT }));
+  }));
+});
@@ -0,0 +1,84 @@
+describe('jscDataService', function() {
+  'use strict';
+
+  var jscDataService;
+  var JscError;
+
+  beforeEach(module('jsc.angular.core'));
+
+  beforeEach(inject(function(_jscDataService_, _JscError_) {
+    jscDataService = _jscDataService_;
+    JscError = _JscError_;
+  }));
+
+  describe('validate', function() {
+    it('converts values to the field types', function() {
+      var result = jscDataService.validate([{ date: '2020-02-29', sales: '12', region: 'North' }], {
+        date: 'date',
+        sales: { type: 'number', min: 0 },
+        region: 'string'
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.data).toEqual([{ date: new Date(2020, 1, 29), sales: 12, region: 'North' }]);
+    });
+
+    it('rejects dates that do not exist', function() {
+      var records = ['2020-02-30', '2020-13-45', '13/02/2020'].map(function(value) {
+        return { date: value };
+      });
+      var result = jscDataService.validate(records, { date: 'date' });
+
+      expect(result.data).toEqual([{ date: null }, { date: null }, { date: null }]);
+      expect(result.errors.map(function(error) { return error.code; }))
+        .toEqual(['InvalidType', 'InvalidType', 'InvalidType']);
+    });
+
+    it('rejects dates that do not exist in a date format', function() {
+      var result = jscDataService.validate([{ date: '30/02/2020' }], {
+        date: { type: 'date', format: 'DD/MM/YYYY' }
+      });
+
+      expect(result.errors[0].code).toBe('InvalidFormat');
+    });
+
+    it('reports missing and out of range values', function() {
+      var result = jscDataService.validate([{ sales: -5 }, {}], {
+        sales: { type: 'number', required: true, min: 0 }
+      });
+
+      expect(result.errors).toEqual([
+        jasmine.objectContaining({ index: 0, field: 'sales', code: 'OutOfRange' }),
+        jasmine.objectContaining({ index: 1, field: 'sales', code: 'Required' })
+      ]);
+    });
+
+    it('throws INVALID_ARGUMENT for records that are not an array or an unknown type', function() {
+      expect(function() {
+        jscDataService.validate('rows', {});
+      }).toThrow(jasmine.objectContaining({ code: JscError.INVALID_ARGUMENT }));
+      expect(function() {
+        jscDataService.validate([], { sales: 'int' });
+      }).toThrow(jasmine.objectContaining({ code: JscError.INVALID_ARGUMENT }));
+    });
+  });
+
+  describe('rowsToSeries', function() {
+    it('throws INVALID_ARGUMENT for data that is not an array', function() {
+      expect(function() {
+        jscDataService.rowsToSeries({ x: 1 });
+      }).toThrow(jasmine.objectContaining({ code: JscError.INVALID_ARGUMENT }));
+    });
+  });
+
+  describe('pivot', function() {
+    it('throws INVALID_ARGUMENT without records or configuration', function() {
+      expect(function() {
+        jscDataService.pivot(null, { rows: 'region', columns: 'quarter', values: 'sales' });
+      }).toThrow(jasmine.objectContaining({ code: JscError.INVALID_ARGUMENT }));
+      expect(function() {
+        jscDataService.pivot([]);
+      }).toThrow(jasmine.objectContaining({ code: JscError.INVALID_ARGUMENT }));
+    });
+  });
+});
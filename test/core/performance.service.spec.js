@@ -0,0 +1,74 @@
+describe('jscPerformance', function() {
+  'use strict';
+
+  var jscPerformance;
+
+  beforeEach(module('jsc.angular.core'));
+
+  beforeEach(inject(function(_jscPerformance_) {
+    jscPerformance = _jscPerformance_;
+  }));
+
+  describe('downsample', function() {
+    var points;
+
+    function xs(data) {
+      return data.map(function(point) {
+        return point.x;
+      });
+    }
+
+    beforeEach(function() {
+      // A low spike at x = 37 and a high spike at x = 61
+      points = [];
+      for (var i = 0; i < 100; i++) {
+        points.push({ x: i, y: i === 37 ? -1000 : (i === 61 ? 1000 : i % 5) });
+      }
+    });
+
+    it('returns the data when it has no more than maxPoints points', function() {
+      expect(jscPerformance.downsample(points, 100)).toBe(points);
+      expect(jscPerformance.downsample(null, 10)).toBeNull();
+    });
+
+    it('keeps every nth point and the last point by default', function() {
+      expect(xs(jscPerformance.downsample(points, 10))).toEqual([0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 99]);
+    });
+
+    it('keeps the ends and spikes with lttb', function() {
+      var result = xs(jscPerformance.downsample(points, 10, 'lttb'));
+
+      expect(result.length).toBe(10);
+      expect(result[0]).toBe(0);
+      expect(result[9]).toBe(99);
+      expect(result).toContain(37);
+      expect(result).toContain(61);
+    });
+
+    it('keeps the lowest and highest point of each bucket with minmax', function() {
+      var result = xs(jscPerformance.downsample(points, 10, 'minmax'));
+
+      expect(result.length).toBeLessThanOrEqual(10);
+      expect(result[0]).toBe(0);
+      expect(result[result.length - 1]).toBe(99);
+      expect(result).toContain(37);
+      expect(result).toContain(61);
+    });
+
+    it('downsamples [x, y] arrays', function() {
+      expect(jscPerformance.downsample([[0, 1], [1, 5], [2, 2], [3, 9], [4, 0]], 3, 'lttb'))
+        .toEqual([[0, 1], [3, 9], [4, 0]]);
+    });
+
+    it('keeps the points of a zoomed range at full resolution', function() {
+      var result = xs(jscPerformance.downsample(points, 10, { method: 'lttb', xMin: 40, xMax: 49 }));
+
+      for (var x = 40; x <= 49; x++) {
+        expect(result).toContain(x);
+      }
+      expect(result[0]).toBe(0);
+      expect(result[result.length - 1]).toBe(99);
+      expect(result.length).toBeLessThan(30);
+    });
+  });
+});